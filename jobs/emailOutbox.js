@@ -0,0 +1,156 @@
+import EmailJob from "../models/EmailJob.js";
+import Booking from "../models/Booking.js";
+import WaitlistEntry from "../models/WaitlistEntry.js";
+import Admin from "../models/Admin.js";
+import { templates } from "../utils/emailTemplates.js";
+import { sendMail } from "../utils/mailer.js";
+
+const POLL_INTERVAL_MS = Number(process.env.EMAIL_POLL_INTERVAL_MS || 15 * 1000);
+const BASE_BACKOFF_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+
+// A job stuck in "sending" this long is assumed to belong to a crashed worker
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Errors that retrying can't fix
+class PermanentEmailError extends Error {}
+
+// Templates whose data holds a secret (login code, claim or reset link).
+// Their data is cleared once the job is sent or has failed for good, and
+// they can't be retried by hand: the person asks for a new one instead.
+export const SECRET_EMAIL_TYPES = ["access-code", "waitlist-offer", "admin-password-reset"];
+
+/* ----------------------------------------------------
+   ENQUEUE
+---------------------------------------------------- */
+// Each email is about a booking, a waitlist entry or an admin account.
+// `to` defaults to its email address. Resolves to null when a job
+// with the same dedupeKey was already queued.
+export const enqueueEmail = ({ type, booking, waitlistEntry, admin, subject, to, data, dedupeKey }) => {
+  if (!templates[type]) throw new Error(`Unknown email template "${type}"`);
+
+  return EmailJob.create({
+    type,
+    bookingId: booking?._id,
+    waitlistEntryId: waitlistEntry?._id,
+    adminId: admin?._id,
+    to: to || admin?.email || (booking || waitlistEntry).emailAddress,
+    subject,
+    data,
+    dedupeKey,
+  }).catch((err) => {
+    if (dedupeKey && err.code === 11000) return null;
+    throw err;
+  });
+};
+
+// Exponential backoff: 1m, 2m, 4m ... capped at 6h
+const backoff = (attempts) => Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+
+/* ----------------------------------------------------
+   DELIVER ONE JOB
+---------------------------------------------------- */
+const send = (job, message) =>
+  sendMail({
+    to: job.to,
+    subject: job.subject || message.subject,
+    html: message.html,
+    attachments: message.attachments,
+  });
+
+const deliver = async (job) => {
+  if (job.adminId) {
+    const admin = await Admin.findById(job.adminId);
+    if (!admin || !admin.active) throw new PermanentEmailError("Admin not found or deactivated");
+    return send(job, await templates[job.type](admin, job.data || {}));
+  }
+
+  if (job.waitlistEntryId) {
+    const entry = await WaitlistEntry.findById(job.waitlistEntryId).populate("eventId");
+    if (!entry) throw new PermanentEmailError("Waitlist entry not found");
+    return send(job, await templates[job.type](entry, job.data || {}));
+  }
+
+  const booking = await Booking.findById(job.bookingId).populate("eventId");
+  if (!booking) throw new PermanentEmailError("Booking not found");
+  if (!booking.eventId) throw new PermanentEmailError("Event not found");
+
+  if (job.type === "ticket" && booking.ticketTokenRevokedAt) {
+    throw new PermanentEmailError("Ticket token is revoked");
+  }
+
+  // Scheduled emails are dropped if things changed since they were queued
+  const settings = booking.eventId?.reminders;
+  if (job.type === "event-reminder" && (booking.status !== "Paid" || settings?.enabled === false)) {
+    throw new PermanentEmailError("Reminder no longer applies");
+  }
+  if (job.type === "event-follow-up" && (booking.status !== "Paid" || !settings?.followUpEnabled)) {
+    throw new PermanentEmailError("Follow-up no longer applies");
+  }
+
+  return send(job, await templates[job.type](booking, job.data || {}));
+};
+
+// Claims the next due job so concurrent workers never send it twice
+const claimNextJob = () => {
+  const now = new Date();
+
+  return EmailJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued", nextAttemptAt: { $lte: now } },
+        { status: "sending", lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { status: "sending", lockedAt: now, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+export const processEmailQueue = async () => {
+  let job;
+
+  while ((job = await claimNextJob())) {
+    try {
+      await deliver(job);
+
+      job.status = "sent";
+      job.sentAt = new Date();
+      job.lastError = null;
+      job.data = null;
+    } catch (err) {
+      console.error(`Email Job ${job._id} Error:`, err.message);
+
+      const exhausted = job.attempts >= job.maxAttempts;
+      job.lastError = err.message;
+      job.status = err instanceof PermanentEmailError || exhausted ? "failed" : "queued";
+      job.nextAttemptAt = new Date(Date.now() + backoff(job.attempts));
+      if (job.status === "failed" && SECRET_EMAIL_TYPES.includes(job.type)) job.data = null;
+    }
+
+    job.lockedAt = null;
+    await job.save();
+  }
+};
+
+/* ----------------------------------------------------
+   WORKER LOOP
+---------------------------------------------------- */
+let running = false;
+
+export const startEmailWorker = () => {
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processEmailQueue();
+    } catch (err) {
+      console.error("Email Worker Error:", err);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  return setInterval(tick, POLL_INTERVAL_MS);
+};
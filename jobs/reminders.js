@@ -0,0 +1,152 @@
+import Event, { DEFAULT_REMINDER_OFFSETS, MAX_REMINDER_OFFSET_HOURS } from "../models/Event.js";
+import Booking from "../models/Booking.js";
+import EmailJob from "../models/EmailJob.js";
+import { enqueueEmail } from "./emailOutbox.js";
+
+const POLL_INTERVAL_MS = Number(process.env.REMINDER_POLL_INTERVAL_MS || 5 * 60 * 1000);
+const HOUR_MS = 60 * 60 * 1000;
+
+// Follow-ups that fell due longer ago than this (e.g. during downtime) are skipped
+const FOLLOW_UP_GRACE_MS = 3 * 24 * HOUR_MS;
+
+/* ----------------------------------------------------
+   SCHEDULE HELPERS
+   Every email is queued with a dedupeKey, so a restart
+   (or two workers) can never send the same one twice.
+---------------------------------------------------- */
+export const reminderOffsets = (event) =>
+  event.reminders?.offsetsHours?.length ? event.reminders.offsetsHours : DEFAULT_REMINDER_OFFSETS;
+
+export const reminderKeyPrefix = (session, hours) => `reminder:${session._id}:${hours}:`;
+export const followUpKeyPrefix = (session) => `follow-up:${session._id}:`;
+
+export const followUpDueAt = (event, session) =>
+  new Date((session.endsAt || session.startsAt).getTime() + (event.reminders?.followUpDelayHours ?? 2) * HOUR_MS);
+
+// When a booking's ticket was confirmed (older bookings fall back to when they were made)
+const paidAt = (booking) =>
+  booking.statusHistory().filter((entry) => entry.to === "Paid").at(-1)?.at || booking.createdAt;
+
+// The reminder due now for a booking, in hours before the session, or null.
+// Only the closest due offset counts, and offsets that were already past
+// when the ticket was confirmed are skipped.
+export const dueReminderOffset = (offsets, startsAt, confirmedAt, now = new Date()) => {
+  if (startsAt <= now) return null;
+
+  const due = offsets
+    .filter((hours) => startsAt.getTime() - hours * HOUR_MS <= now.getTime())
+    .sort((a, b) => a - b);
+
+  if (!due.length || startsAt.getTime() - due[0] * HOUR_MS < confirmedAt.getTime()) return null;
+  return due[0];
+};
+
+// Paid tickets for one session (bookings made before sessions existed belong to the only one)
+const sessionBookings = (event, session) =>
+  Booking.find({
+    eventId: event._id,
+    status: "Paid",
+    ticketTokenRevokedAt: null,
+    sessionId: event.sessions.length === 1 ? { $in: [session._id, null] } : session._id,
+  }).populate("eventId");
+
+// Queues one email per booking, skipping bookings that already have one
+const enqueueOnce = async (type, bookings, keyFor, data) => {
+  const keys = bookings.map(keyFor);
+  const existing = new Set(await EmailJob.find({ dedupeKey: { $in: keys } }).distinct("dedupeKey"));
+
+  let queued = 0;
+  for (const [i, booking] of bookings.entries()) {
+    if (existing.has(keys[i])) continue;
+    const job = await enqueueEmail({ type, booking, data: data(booking), dedupeKey: keys[i] });
+    if (job) queued++;
+  }
+  return queued;
+};
+
+/* ----------------------------------------------------
+   REMINDERS BEFORE EACH SESSION
+---------------------------------------------------- */
+export const sendDueReminders = async (now = new Date()) => {
+  const events = await Event.find({
+    "reminders.enabled": { $ne: false },
+    sessions: {
+      $elemMatch: { startsAt: { $gt: now, $lte: new Date(now.getTime() + MAX_REMINDER_OFFSET_HOURS * HOUR_MS) } },
+    },
+  });
+
+  let queued = 0;
+  for (const event of events) {
+    const offsets = reminderOffsets(event);
+
+    for (const session of event.sessions) {
+      const firstDue = session.startsAt.getTime() - Math.max(...offsets) * HOUR_MS;
+      if (session.startsAt <= now || firstDue > now.getTime()) continue;
+
+      const due = [];
+      for (const booking of await sessionBookings(event, session)) {
+        const hours = dueReminderOffset(offsets, session.startsAt, paidAt(booking), now);
+        if (hours) due.push({ booking, hours });
+      }
+
+      const hoursFor = new Map(due.map(({ booking, hours }) => [booking._id.toString(), hours]));
+      queued += await enqueueOnce(
+        "event-reminder",
+        due.map(({ booking }) => booking),
+        (booking) => `${reminderKeyPrefix(session, hoursFor.get(booking._id.toString()))}${booking._id}`,
+        (booking) => ({ hoursBefore: hoursFor.get(booking._id.toString()) })
+      );
+    }
+  }
+  return queued;
+};
+
+/* ----------------------------------------------------
+   FOLLOW-UPS AFTER EACH SESSION
+---------------------------------------------------- */
+export const sendDueFollowUps = async (now = new Date()) => {
+  const events = await Event.find({
+    "reminders.followUpEnabled": true,
+    startsAt: { $lte: now },
+    endsAt: { $gte: new Date(now.getTime() - FOLLOW_UP_GRACE_MS - 168 * HOUR_MS) },
+  });
+
+  let queued = 0;
+  for (const event of events) {
+    for (const session of event.sessions) {
+      const dueAt = followUpDueAt(event, session);
+      if (dueAt > now || now.getTime() - dueAt.getTime() > FOLLOW_UP_GRACE_MS) continue;
+
+      queued += await enqueueOnce(
+        "event-follow-up",
+        await sessionBookings(event, session),
+        (booking) => `${followUpKeyPrefix(session)}${booking._id}`,
+        () => null
+      );
+    }
+  }
+  return queued;
+};
+
+/* ----------------------------------------------------
+   WORKER LOOP
+---------------------------------------------------- */
+let running = false;
+
+export const startReminderWorker = () => {
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sendDueReminders();
+      await sendDueFollowUps();
+    } catch (err) {
+      console.error("Reminder Worker Error:", err);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  return setInterval(tick, POLL_INTERVAL_MS);
+};
@@ -0,0 +1,104 @@
+import crypto from "crypto";
+import Event from "../models/Event.js";
+import WaitlistEntry from "../models/WaitlistEntry.js";
+import { enqueueEmail } from "./emailOutbox.js";
+
+const OFFER_TTL_MS = Number(process.env.WAITLIST_OFFER_HOURS || 24) * 60 * 60 * 1000;
+const POLL_INTERVAL_MS = Number(process.env.WAITLIST_POLL_INTERVAL_MS || 60 * 1000);
+
+export const hashOfferToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/* ----------------------------------------------------
+   OFFER FREED SEATS
+   Walks an event's waitlist in order and makes an offer to
+   everyone whose tier/session has room again. The offer holds
+   the seat, so nobody else can buy it while it is open.
+---------------------------------------------------- */
+export const offerFreedSeats = async (eventId) => {
+  const event = await Event.findById(eventId);
+  if (!event || event.bookingClosedReason()) return 0;
+
+  const now = new Date();
+  const waiting = await WaitlistEntry.find({ eventId: event._id, status: "waiting" }).sort({ position: 1, createdAt: 1 });
+  let offered = 0;
+
+  for (const entry of waiting) {
+    const session = event.sessionFor(entry.sessionId);
+    const tier = event.tierFor(entry.ticketType);
+    if (!session || !tier || session.startsAt <= now || tier.salesClosedReason(now)) continue;
+
+    const reserved = await Event.reserveSeat(event._id, entry.ticketType, entry.sessionId);
+    if (!reserved) continue;
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const expiresAt = new Date(now.getTime() + OFFER_TTL_MS);
+
+    const updated = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: "waiting" },
+      { status: "offered", offerTokenHash: hashOfferToken(token), offeredAt: now, offerExpiresAt: expiresAt },
+      { new: true }
+    );
+
+    // Removed or offered by someone else meanwhile
+    if (!updated) {
+      await Event.releaseSeat(event._id, entry.ticketType, entry.sessionId);
+      continue;
+    }
+
+    offered++;
+    await enqueueEmail({
+      type: "waitlist-offer",
+      waitlistEntry: updated,
+      data: { claimURL: `${process.env.CLIENT_URI}/waitlist/claim/${token}`, expiresAt },
+    }).catch((err) => console.error("Email Queue Error:", err));
+  }
+
+  return offered;
+};
+
+/* ----------------------------------------------------
+   WITHDRAW AN OPEN OFFER
+   Gives its held seat to the next person in line.
+---------------------------------------------------- */
+export const withdrawOffer = async (entry, status) => {
+  const withdrawn = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: "offered" },
+    { status, offerTokenHash: null },
+    { new: true }
+  );
+  if (!withdrawn) return null;
+
+  await Event.releaseSeat(withdrawn.eventId, withdrawn.ticketType, withdrawn.sessionId);
+  await offerFreedSeats(withdrawn.eventId);
+  return withdrawn;
+};
+
+// Moves every unclaimed offer past its deadline on to the next person
+export const expireOffers = async () => {
+  const due = await WaitlistEntry.find({ status: "offered", offerExpiresAt: { $lte: new Date() } });
+  for (const entry of due) {
+    await withdrawOffer(entry, "expired");
+  }
+};
+
+/* ----------------------------------------------------
+   WORKER LOOP
+---------------------------------------------------- */
+let running = false;
+
+export const startWaitlistWorker = () => {
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await expireOffers();
+    } catch (err) {
+      console.error("Waitlist Worker Error:", err);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  return setInterval(tick, POLL_INTERVAL_MS);
+};
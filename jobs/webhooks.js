@@ -0,0 +1,194 @@
+import crypto from "crypto";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+
+const POLL_INTERVAL_MS = Number(process.env.WEBHOOK_POLL_INTERVAL_MS || 10 * 1000);
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+
+// A delivery stuck in "sending" this long is assumed to belong to a crashed worker
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Only this much of a receiver's response is kept in the log
+const MAX_RESPONSE_LENGTH = 2000;
+
+// Errors that retrying can't fix
+class PermanentWebhookError extends Error {}
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+// Receivers recompute this over `${timestamp}.${rawBody}` with their secret
+export const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+/* ----------------------------------------------------
+   PAYLOADS (no receipts, tokens or access codes)
+---------------------------------------------------- */
+export const bookingPayload = (booking) => ({
+  id: booking._id,
+  ticketNumber: booking.ticketNumber,
+  eventId: booking.eventId?._id || booking.eventId,
+  sessionId: booking.sessionId,
+  orderId: booking.orderId || null,
+  firstName: booking.firstName,
+  lastName: booking.lastName,
+  emailAddress: booking.emailAddress,
+  contactNumber: booking.contactNumber,
+  cityName: booking.cityName,
+  ticketType: booking.ticketType,
+  status: booking.status,
+  currency: booking.currency,
+  finalAmount: booking.finalAmount,
+  checkedInAt: booking.checkedInAt,
+  createdAt: booking.createdAt,
+});
+
+export const eventPayload = (event) => ({
+  id: event._id,
+  title: event.title,
+  status: event.status,
+  category: event.category,
+  address: event.address,
+  timeZone: event.timeZone,
+  startsAt: event.startsAt,
+  endsAt: event.endsAt,
+  sessions: event.sessions.map((session) => event.describeSession(session)),
+  ticketTiers: event.ticketTiers.map((tier) => ({
+    name: tier.name,
+    price: tier.price,
+    currency: tier.currency,
+    capacity: tier.capacity,
+    remaining: tier.remaining,
+  })),
+});
+
+/* ----------------------------------------------------
+   EMIT
+   Queues one delivery per active subscribed webhook.
+   Called after the change went through, so a failure here
+   is logged rather than failing the request.
+---------------------------------------------------- */
+export const emitWebhook = async (event, data) => {
+  try {
+    const webhooks = await Webhook.find({ active: true, events: event }).select("_id");
+    for (const webhook of webhooks) {
+      await queueDelivery(webhook._id, event, data);
+    }
+  } catch (err) {
+    console.error("Webhook Emit Error:", err);
+  }
+};
+
+// Queues one delivery to one webhook; the payload carries the delivery id
+export const queueDelivery = (webhookId, event, data) => {
+  const delivery = new WebhookDelivery({ webhookId, event, payload: {} });
+  delivery.payload = { id: delivery._id, event, createdAt: delivery._id.getTimestamp(), data };
+  return delivery.save();
+};
+
+// Queues a fresh copy of a logged delivery (same payload, new delivery id)
+export const replayDelivery = async (original) => {
+  const delivery = new WebhookDelivery({
+    webhookId: original.webhookId,
+    event: original.event,
+    replayOf: original._id,
+    payload: {},
+  });
+  delivery.payload = { ...original.payload, id: delivery._id, replayOf: original._id };
+  return delivery.save();
+};
+
+// Exponential backoff: 30s, 1m, 2m ... capped at 6h
+const backoff = (attempts) => Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+
+/* ----------------------------------------------------
+   DELIVER ONE
+---------------------------------------------------- */
+const deliver = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhookId).select("+secret");
+  if (!webhook) throw new PermanentWebhookError("Webhook was deleted");
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const response = await fetch(webhook.url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "User-Agent": "Rangrez-Webhooks/1.0",
+      "X-Webhook-Event": delivery.event,
+      "X-Webhook-Delivery": delivery._id.toString(),
+      "X-Webhook-Signature": `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, body)}`,
+    },
+    body,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  delivery.responseStatus = response.status;
+  delivery.responseBody = (await response.text().catch(() => "")).slice(0, MAX_RESPONSE_LENGTH);
+
+  if (!response.ok) throw new Error(`Endpoint answered ${response.status}`);
+};
+
+// Claims the next due delivery so concurrent workers never send it twice
+const claimNextDelivery = () => {
+  const now = new Date();
+
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued", nextAttemptAt: { $lte: now } },
+        { status: "sending", lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { status: "sending", lockedAt: now, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+export const processWebhookQueue = async () => {
+  let delivery;
+
+  while ((delivery = await claimNextDelivery())) {
+    try {
+      await deliver(delivery);
+
+      delivery.status = "delivered";
+      delivery.deliveredAt = new Date();
+      delivery.lastError = null;
+    } catch (err) {
+      console.error(`Webhook Delivery ${delivery._id} Error:`, err.message);
+
+      const exhausted = delivery.attempts >= delivery.maxAttempts;
+      delivery.lastError = err.message;
+      delivery.status = err instanceof PermanentWebhookError || exhausted ? "failed" : "queued";
+      delivery.nextAttemptAt = new Date(Date.now() + backoff(delivery.attempts));
+    }
+
+    delivery.lockedAt = null;
+    await delivery.save();
+  }
+};
+
+/* ----------------------------------------------------
+   WORKER LOOP
+---------------------------------------------------- */
+let running = false;
+
+export const startWebhookWorker = () => {
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processWebhookQueue();
+    } catch (err) {
+      console.error("Webhook Worker Error:", err);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  return setInterval(tick, POLL_INTERVAL_MS);
+};
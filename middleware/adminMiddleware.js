@@ -1,17 +1,48 @@
-import jwt from "jsonwebtoken";
+import { hasPermission } from "../utils/permissions.js";
+import { resolveAdminToken } from "../utils/adminAuth.js";
+import { sendError } from "../utils/errors.js";
 
-export const authAdmin = (req, res, next) => {
+// Sets req.admin = { id, isAdmin, role, sessionId }.
+// The admin and session are read from the database on every request, so
+// deactivation, logout and role changes apply immediately.
+export const authAdmin = async (req, res, next) => {
   const token = req.headers.authorization?.split(" ")[1];
-  if (!token) return res.status(401).json({ message: "Unauthorized" });
+  if (!token) return sendError(res, 401, "Unauthorized");
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    if (!decoded.isAdmin) {
-      return res.status(403).json({ message: "Forbidden" });
-    }
-    req.admin = decoded;
+    const { admin, error } = await resolveAdminToken(token);
+    if (error) return sendError(res, 401, error);
+
+    req.admin = admin;
     next();
   } catch (err) {
-    res.status(401).json({ message: "Invalid token" });
+    console.error("Admin Auth Error:", err);
+    sendError(res, 500, "Authorization failed");
+  }
+};
+
+// For public routes that show admins more (e.g. draft events):
+// sets req.admin when a valid admin token is sent, never rejects
+export const identifyAdmin = async (req, res, next) => {
+  const token = req.headers.authorization?.split(" ")[1];
+  if (token) {
+    try {
+      const { admin } = await resolveAdminToken(token);
+      if (admin) req.admin = admin;
+    } catch (err) {
+      // Treated as a public request
+    }
   }
+  next();
 };
+
+// authAdmin + a permission check against the admin's current role
+export const authorize = (permission) => [
+  authAdmin,
+  (req, res, next) => {
+    if (!hasPermission(req.admin.role, permission)) {
+      return sendError(res, 403, "Forbidden");
+    }
+    next();
+  },
+];
@@ -0,0 +1,48 @@
+import Booking from "../models/Booking.js";
+import Order from "../models/Order.js";
+import { decodeAttendeeToken, decodePurchaserToken } from "../utils/ticketToken.js";
+import { sendError } from "../utils/errors.js";
+
+// Loads the booking an attendee session token belongs to into req.booking
+export const authAttendee = async (req, res, next) => {
+  const token = req.headers.authorization?.split(" ")[1];
+  if (!token) return sendError(res, 401, "Unauthorized");
+
+  const payload = decodeAttendeeToken(token);
+  if (!payload?.bid?.match(/^[0-9a-fA-F]{24}$/)) {
+    return sendError(res, 401, "Invalid or expired session");
+  }
+
+  try {
+    const booking = await Booking.findById(payload.bid).populate("eventId");
+    if (!booking || (booking.ticketTokenVersion || 0) !== payload.v) {
+      return sendError(res, 401, "Invalid or expired session");
+    }
+
+    req.booking = booking;
+    next();
+  } catch (err) {
+    sendError(res, 500, "Authentication failed");
+  }
+};
+
+// Loads the order a purchaser session token belongs to into req.order
+export const authPurchaser = async (req, res, next) => {
+  const token = req.headers.authorization?.split(" ")[1];
+  if (!token) return sendError(res, 401, "Unauthorized");
+
+  const payload = decodePurchaserToken(token);
+  if (!payload?.oid?.match(/^[0-9a-fA-F]{24}$/)) {
+    return sendError(res, 401, "Invalid or expired session");
+  }
+
+  try {
+    const order = await Order.findById(payload.oid).populate("eventId");
+    if (!order) return sendError(res, 401, "Invalid or expired session");
+
+    req.order = order;
+    next();
+  } catch (err) {
+    sendError(res, 500, "Authentication failed");
+  }
+};
@@ -0,0 +1,49 @@
+import multer from "multer";
+import { AppError, errorBody } from "../utils/errors.js";
+
+// Unknown routes
+export const notFoundHandler = (req, res) => {
+  res.status(404).json(errorBody(404, `Route ${req.method} ${req.path} not found`, { code: "ROUTE_NOT_FOUND" }));
+};
+
+// Maps anything thrown (or passed to next) to the standard error shape.
+// Unexpected errors are logged and answered without internal details.
+// (Express needs all four arguments to treat it as an error handler.)
+export const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  if (err instanceof AppError) {
+    return res.status(err.status).json(errorBody(err.status, err.message, { code: err.code, errors: err.errors, ...err.extra }));
+  }
+
+  // Malformed JSON body (express.json)
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json(errorBody(400, "Request body is not valid JSON", { code: "INVALID_JSON" }));
+  }
+  if (err.type === "entity.too.large") {
+    return res.status(413).json(errorBody(413, "Request body is too large"));
+  }
+
+  if (err instanceof multer.MulterError) {
+    const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+    return res.status(status).json(errorBody(status, err.message, { code: "UPLOAD_ERROR", field: err.field }));
+  }
+
+  // Mongoose
+  if (err.name === "ValidationError") {
+    const errors = Object.values(err.errors).map((e) => ({ field: `body.${e.path}`, message: e.message, code: e.kind }));
+    return res.status(400).json(errorBody(400, "Validation failed", { code: "VALIDATION_ERROR", errors }));
+  }
+  if (err.name === "CastError") {
+    return res.status(400).json(errorBody(400, `Invalid ${err.path}`, { code: "INVALID_ID" }));
+  }
+  if (err.name === "VersionError") {
+    return res.status(409).json(errorBody(409, "Record changed meanwhile, please retry", { code: "VERSION_CONFLICT" }));
+  }
+  if (err.code === 11000) {
+    return res.status(409).json(errorBody(409, "A record with these details already exists", { code: "DUPLICATE_KEY" }));
+  }
+
+  console.error("Unhandled Error:", err);
+  res.status(500).json(errorBody(500, "Something went wrong"));
+};
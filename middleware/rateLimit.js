@@ -0,0 +1,70 @@
+import RateLimitCounter from "../models/RateLimitCounter.js";
+import { sendTooManyRequests } from "../utils/errors.js";
+
+const MINUTE_MS = 60 * 1000;
+
+// "<max>/<minutes>" from the environment, e.g. BOOKING_RATE_LIMIT_IP=10/15
+const fromEnv = (name, fallback) => {
+  const [max, minutes] = String(process.env[name] || fallback).split("/").map(Number);
+  return { max, windowMs: minutes * MINUTE_MS };
+};
+
+// Limits per client IP and per email address, all configurable
+export const LIMITS = {
+  bookingByIp: fromEnv("BOOKING_RATE_LIMIT_IP", "10/15"),
+  bookingByEmail: fromEnv("BOOKING_RATE_LIMIT_EMAIL", "5/15"),
+  adminLoginByIp: fromEnv("ADMIN_LOGIN_RATE_LIMIT_IP", "20/15"),
+  adminLoginByEmail: fromEnv("ADMIN_LOGIN_RATE_LIMIT_EMAIL", "10/15"),
+  // Separate from login, so a locked-out admin can still ask for a reset link
+  passwordResetByIp: fromEnv("PASSWORD_RESET_RATE_LIMIT_IP", "10/60"),
+  passwordResetByEmail: fromEnv("PASSWORD_RESET_RATE_LIMIT_EMAIL", "3/60"),
+  attendeeLoginByIp: fromEnv("ATTENDEE_LOGIN_RATE_LIMIT_IP", "20/15"),
+  attendeeLoginByEmail: fromEnv("ATTENDEE_LOGIN_RATE_LIMIT_EMAIL", "10/15"),
+};
+
+// Counts one hit in the current window. Returns the seconds until the window
+// resets when the limit is exceeded, otherwise 0.
+export const hit = async (name, id, { max, windowMs }) => {
+  const now = Date.now();
+  const window = Math.floor(now / windowMs);
+  const resetAt = (window + 1) * windowMs;
+  const key = `${name}:${id}:${window}`;
+
+  const increment = () =>
+    RateLimitCounter.findOneAndUpdate(
+      { key },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+      { upsert: true, new: true }
+    );
+
+  // Two first hits racing to create the counter: the loser retries as an update
+  const counter = await increment().catch((err) => {
+    if (err.code === 11000) return increment();
+    throw err;
+  });
+
+  return counter.count > max ? Math.ceil((resetAt - now) / 1000) : 0;
+};
+
+/* ----------------------------------------------------
+   MIDDLEWARE
+   rateLimit("booking", LIMITS.bookingByIp, (req) => req.ip)
+   Requests without a key (e.g. no email sent) aren't counted.
+   A broken counter store lets requests through rather than
+   taking the endpoint down with it.
+---------------------------------------------------- */
+export const rateLimit = (name, limit, keyFor) => async (req, res, next) => {
+  const id = keyFor(req);
+  if (!id) return next();
+
+  try {
+    const retryAfter = await hit(name, String(id).toLowerCase().trim(), limit);
+    if (retryAfter) return sendTooManyRequests(res, retryAfter, "Too many requests, please try again later");
+  } catch (err) {
+    console.error("Rate Limit Error:", err);
+  }
+  next();
+};
+
+export const byIp = (req) => req.ip;
+export const byEmail = (field) => (req) => req.body?.[field];
@@ -1,36 +1,66 @@
 import multer from "multer";
-import path from "path";
-import fs from "fs";
-
-const uploadFolder = path.join(path.resolve(), "uploads");
-
-// Create folder if not exists
-if (!fs.existsSync(uploadFolder)) {
-  fs.mkdirSync(uploadFolder);
-}
-
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadFolder);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    cb(null, uniqueSuffix + path.extname(file.originalname));
-  },
-});
-
-const fileFilter = (req, file, cb) => {
-  const allowedTypes = /jpeg|jpg|png|gif/;
-  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-  const mimetype = allowedTypes.test(file.mimetype);
-
-  if (mimetype && extname) {
-    cb(null, true);
-  } else {
-    cb(new Error("Only images are allowed"));
+import { AppError } from "../utils/errors.js";
+import { IMAGE_TYPES, RECEIPT_TYPES, assertReadableImage, sniffFileType } from "../utils/media.js";
+
+const MB = 1024 * 1024;
+const MAX_IMAGE_BYTES = Number(process.env.UPLOAD_MAX_IMAGE_MB || 5) * MB;
+const MAX_RECEIPT_BYTES = Number(process.env.UPLOAD_MAX_RECEIPT_MB || 10) * MB;
+
+// "JPEG, PNG or PDF"
+const describeTypes = (types) => {
+  const labels = Object.values(types);
+  return `${labels.slice(0, -1).join(", ")} or ${labels.at(-1)}`;
+};
+
+const unsupported = (field, types) =>
+  new AppError(415, `${field} must be a ${describeTypes(types)} file`, {
+    code: "UNSUPPORTED_FILE_TYPE",
+    field,
+  });
+
+// Files are kept in memory (hence the size limit) and handed to utils/media.js.
+// The declared type is only a first filter; checkContent looks at the bytes.
+const createUpload = ({ types, maxBytes, maxFiles }) =>
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: maxFiles },
+    fileFilter: (req, file, cb) => (types[file.mimetype] ? cb(null, true) : cb(unsupported(file.fieldname, types))),
+  });
+
+// Sets file.detectedType from the content; rejects anything else, including
+// images that can't be decoded
+const checkContent = (types) => async (req, res, next) => {
+  const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+
+  for (const file of files) {
+    const type = sniffFileType(file.buffer);
+    if (!types[type]) throw unsupported(file.fieldname, types);
+
+    if (type.startsWith("image/")) {
+      try {
+        await assertReadableImage(file.buffer);
+      } catch (err) {
+        const field = file.fieldname;
+        throw new AppError(400, `${field} is not a valid image`, { code: "INVALID_IMAGE", field });
+      }
+    }
+    file.detectedType = type;
   }
+  next();
 };
 
-const upload = multer({ storage, fileFilter });
+// Event image and sponsor logos: upload.fields([...]) with images only
+export const eventMediaUpload = (fields) => [
+  createUpload({
+    types: IMAGE_TYPES,
+    maxBytes: MAX_IMAGE_BYTES,
+    maxFiles: fields.reduce((total, field) => total + field.maxCount, 0),
+  }).fields(fields),
+  checkContent(IMAGE_TYPES),
+];
 
-export default upload;
+// A payment receipt: image or PDF
+export const receiptUpload = (field) => [
+  createUpload({ types: RECEIPT_TYPES, maxBytes: MAX_RECEIPT_BYTES, maxFiles: 1 }).single(field),
+  checkContent(RECEIPT_TYPES),
+];
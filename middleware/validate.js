@@ -0,0 +1,27 @@
+import { AppError } from "../utils/errors.js";
+
+const PARTS = ["params", "query", "body"];
+
+// Checks req.params / req.query / req.body against zod schemas (validators/*)
+// and replaces them with the parsed values. Fails with a 400 listing every bad field.
+export const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  for (const part of PARTS) {
+    if (!schemas[part]) continue;
+
+    const result = schemas[part].safeParse(req[part] ?? {});
+    if (!result.success) {
+      for (const issue of result.error.issues) {
+        errors.push({ field: [part, ...issue.path].join("."), message: issue.message, code: issue.code });
+      }
+      continue;
+    }
+
+    // req.query is a getter in Express 5, so it has to be redefined rather than assigned
+    Object.defineProperty(req, part, { value: result.data, writable: true, enumerable: true, configurable: true });
+  }
+
+  if (errors.length) return next(new AppError(400, "Validation failed", { code: "VALIDATION_ERROR", errors }));
+  next();
+};
@@ -1,10 +1,17 @@
 import mongoose from "mongoose";
+import { ROLES } from "../utils/permissions.js";
 
 const adminSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true }, // hashed
   isAdmin: { type: Boolean, default: true },
+
+  // Accounts created before roles existed had full access, so they default to owner
+  role: { type: String, enum: ROLES, default: "owner" },
+  active: { type: Boolean, default: true },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+
   createdAt: { type: Date, default: Date.now },
 });
 
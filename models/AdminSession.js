@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+// One signed-in device of an admin (see utils/adminAuth.js).
+// Short-lived access tokens carry the session id; the refresh token
+// is rotated on every use and only its SHA-256 is stored.
+const adminSessionSchema = new mongoose.Schema(
+  {
+    adminId: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", required: true, index: true },
+
+    tokenHash: { type: String, required: true, unique: true },
+    // The token this one replaced; seeing it again means it was stolen
+    previousTokenHash: { type: String, default: null, index: true },
+
+    expiresAt: { type: Date, required: true },
+    lastUsedAt: { type: Date, default: Date.now },
+    revokedAt: { type: Date, default: null },
+    // logout | logout_all | password_changed | password_reset | deactivated | token_reuse
+    revokedReason: { type: String, default: null },
+
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+// Expired sessions are removed by MongoDB's TTL monitor
+adminSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("AdminSession", adminSessionSchema);
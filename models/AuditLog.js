@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+const auditLogSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+
+  // e.g. "event.update", "booking.status_change", "admin.role_change"
+  action: { type: String, required: true },
+
+  targetType: { type: String, required: true }, // Event | Booking | Admin | Invitation | PromoCode
+  targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+
+  // Snapshots and the changed paths between them ({ path: { from, to } })
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+  changes: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  ip: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+// ==================================================
+// APPEND-ONLY: entries can be created, never changed or removed
+// ==================================================
+const refuse = function () {
+  throw new Error("Audit log is append-only");
+};
+
+auditLogSchema.pre("save", function () {
+  if (!this.isNew) refuse();
+});
+
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "replaceOne",
+    "findOneAndUpdate",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  { document: true, query: true },
+  refuse
+);
+
+export default mongoose.model("AuditLog", auditLogSchema);
@@ -1,8 +1,23 @@
 import mongoose from "mongoose";
 
+// One entry in a booking's history (transfers, cancellation requests, ...)
+const historyEntrySchema = new mongoose.Schema(
+  {
+    type: { type: String, required: true }, // e.g. "status_change", "transfer", "receipt_upload"
+    at: { type: Date, default: Date.now },
+    actorType: { type: String, enum: ["attendee", "admin", "system"], required: true },
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+    note: { type: String },
+    details: { type: mongoose.Schema.Types.Mixed },
+  },
+  { _id: false }
+);
+
 const bookingSchema = new mongoose.Schema(
   {
     eventId: { type: mongoose.Schema.Types.ObjectId, ref: "Event" },
+    sessionId: { type: mongoose.Schema.Types.ObjectId, default: null }, // one of event.sessions
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", default: null, index: true }, // group orders
 
     firstName: { type: String, required: true },
     lastName: { type: String, required: true },
@@ -17,19 +32,60 @@ const bookingSchema = new mongoose.Schema(
       // No required:true here (because pre-save generates it)
     },
 
+    // Name of one of the event's ticket tiers
     ticketType: {
       type: String,
-      enum: ["Standard", "VIP"],
       required: true,
     },
 
+    // Pricing at the time of booking, in minor units (so receipts can be checked)
+    promoCode: { type: String, default: null },
+    currency: { type: String },
+    originalPrice: { type: Number },
+    discountAmount: { type: Number, default: 0 },
+    finalAmount: { type: Number },
+
     status: {
       type: String,
       enum: ["Pending", "Paid", "Unpaid", "Cancelled"],
       default: "Pending",
     },
 
-    receiptImage: { type: String, required: true },
+    // Legacy bookings store a public URL; new ones a private storage key.
+    // Tickets in a group order share the order's receipt instead.
+    receiptImage: {
+      type: String,
+      required: function () {
+        return !this.receiptImageKey && !this.orderId;
+      },
+    },
+    receiptImageKey: { type: String },
+
+    // Payment review (see utils/bookingStatus.js for the allowed transitions)
+    rejectionReason: { type: String, default: null },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+    reviewedAt: { type: Date, default: null },
+
+    // Signed QR token state (bump version to invalidate issued QR codes)
+    ticketTokenVersion: { type: Number, default: 0 },
+    ticketTokenRevokedAt: { type: Date, default: null },
+
+    // Attendee self-service
+    cancellationRequest: {
+      requestedAt: { type: Date, default: null },
+      reason: { type: String },
+    },
+    // One-time login code emailed to the attendee (only the hash is kept)
+    accessCode: {
+      hash: { type: String, default: null, select: false },
+      expiresAt: { type: Date, default: null },
+      attempts: { type: Number, default: 0 },
+    },
+    history: [historyEntrySchema],
+
+    // Gate check-in (set once, on first successful scan)
+    checkedInAt: { type: Date, default: null },
+    checkedInBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
 
     dateCreated: {
       type: Date,
@@ -42,24 +98,82 @@ const bookingSchema = new mongoose.Schema(
 // ==================================================
 // AUTO GENERATE 6-DIGIT UNIQUE TICKET NUMBER
 // ==================================================
-bookingSchema.pre("save", async function () {
-  if (this.ticketNumber) return;
-
+bookingSchema.statics.generateTicketNumber = async function () {
   let unique = false;
   let generated;
 
   while (!unique) {
     generated = Math.floor(100000 + Math.random() * 900000).toString();
 
-    const exists = await mongoose.models.Booking.findOne({
+    const exists = await this.findOne({
       ticketNumber: generated,
     });
 
     if (!exists) unique = true;
   }
 
-  this.ticketNumber = generated;
+  return generated;
+};
+
+bookingSchema.pre("save", async function () {
+  if (this.ticketNumber) return;
+  this.ticketNumber = await mongoose.models.Booking.generateTicketNumber();
+});
+
+// The status history starts with the status the booking was created in
+bookingSchema.pre("save", function () {
+  if (!this.isNew) return;
+  this.history.unshift({
+    type: "status_change",
+    actorType: "attendee",
+    details: { from: null, to: this.status },
+  });
 });
 
+// Timestamped status changes, oldest first
+bookingSchema.methods.statusHistory = function () {
+  return (this.history || [])
+    .filter((entry) => entry.type === "status_change")
+    .map((entry) => ({
+      from: entry.details?.from ?? null,
+      to: entry.details?.to,
+      at: entry.at,
+      actorType: entry.actorType,
+      actorId: entry.actorId,
+      reason: entry.details?.reason ?? null,
+      note: entry.note ?? null,
+    }));
+};
+
+// ==================================================
+// MINIMAL TICKET VIEW FOR GATE STAFF (NO CONTACT DETAILS)
+// ==================================================
+bookingSchema.methods.toTicketSummary = function () {
+  const event = this.eventId?.title ? this.eventId : null;
+  const scanner = this.checkedInBy?.name ? this.checkedInBy : null;
+
+  return {
+    ticketNumber: this.ticketNumber,
+    attendeeName: `${this.firstName} ${this.lastName}`,
+    ticketType: this.ticketType,
+    status: this.status,
+    checkedInAt: this.checkedInAt,
+    checkedInBy: scanner ? scanner.name : null,
+    event: event ? { id: event._id, title: event.title } : null,
+    session: this.bookedSession(),
+  };
+};
+
+// Display details of the session this booking is for (eventId must be populated)
+bookingSchema.methods.bookedSession = function () {
+  const event = this.eventId?.sessions ? this.eventId : null;
+  if (!event) return null;
+
+  // Bookings made before sessions existed fall back to the event's only session
+  const session =
+    event.sessionFor(this.sessionId) || (event.sessions.length === 1 ? event.sessions[0] : null);
+  return event.describeSession(session);
+};
+
 const Booking = mongoose.model("Booking", bookingSchema);
 export default Booking;
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+const emailJobSchema = new mongoose.Schema(
+  {
+    // Template name from utils/emailTemplates.js
+    type: { type: String, required: true },
+
+    bookingId: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", index: true },
+    // Waitlist emails have no booking yet
+    waitlistEntryId: { type: mongoose.Schema.Types.ObjectId, ref: "WaitlistEntry", default: null },
+    // Account emails to staff (e.g. password reset)
+    adminId: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+    to: { type: String, required: true },
+
+    // Optional subject override (otherwise the template's subject is used)
+    subject: { type: String },
+
+    // Scheduled emails set this so the same one is never queued twice
+    dedupeKey: { type: String, unique: true, sparse: true },
+
+    // Extra template input (e.g. a one-time code); cleared once sent
+    data: { type: mongoose.Schema.Types.Mixed, default: null },
+
+    status: {
+      type: String,
+      enum: ["queued", "sending", "sent", "failed"],
+      default: "queued",
+    },
+
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date, default: null },
+
+    lastError: { type: String, default: null },
+    sentAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+emailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+
+export default mongoose.model("EmailJob", emailJobSchema);
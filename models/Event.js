@@ -1,32 +1,316 @@
 import mongoose from "mongoose";
+import { DEFAULT_TIME_ZONE, isValidTimeZone, formatDate, formatTimeRange } from "../utils/dateTime.js";
+
+export const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || "PKR";
+
+// Reminder offsets (hours before a session starts) for events that don't set their own
+export const DEFAULT_REMINDER_OFFSETS = (process.env.REMINDER_OFFSETS_HOURS || "168,24")
+  .split(",")
+  .map(Number)
+  .filter((hours) => Number.isInteger(hours) && hours > 0);
+
+export const MAX_REMINDER_OFFSET_HOURS = 30 * 24;
+
+// Lifecycle: drafts are hidden from the public, only published events sell tickets,
+// archived events stay readable for existing bookings, cancelled is final
+export const EVENT_STATUSES = ["draft", "published", "archived", "cancelled"];
+
+// ==================================================
+// IMAGE VARIANT (one stored size of the event image,
+// see EVENT_IMAGE_VARIANTS in utils/media.js)
+// ==================================================
+const imageVariantSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true }, // large | medium | thumbnail
+    url: { type: String },
+    key: { type: String },
+    width: { type: Number },
+    height: { type: Number },
+  },
+  { _id: false }
+);
+
+// ==================================================
+// TICKET TIER (e.g. Standard, VIP, Student, Early Bird)
+// ==================================================
+const ticketTierSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    description: { type: String },
+
+    // Price in minor units (paisa / cents), so 2500 PKR = 250000
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+      validate: { validator: Number.isInteger, message: "Price must be an integer amount in minor units" },
+    },
+    currency: { type: String, default: DEFAULT_CURRENCY, uppercase: true, trim: true },
+
+    // Optional sales window
+    salesStart: { type: Date, default: null },
+    salesEnd: { type: Date, default: null },
+
+    // Seats available (null = unlimited) and seats held by non-cancelled bookings
+    capacity: { type: Number, default: null, min: 0 },
+    sold: { type: Number, default: 0, min: 0 },
+  },
+  { toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+
+ticketTierSchema.virtual("remaining").get(function () {
+  return this.capacity == null ? null : Math.max(this.capacity - (this.sold || 0), 0);
+});
+
+// Returns null when the tier can be sold at the given time, otherwise why not
+ticketTierSchema.methods.salesClosedReason = function (at = new Date()) {
+  if (this.salesStart && at < this.salesStart) return `${this.name} tickets are not on sale yet`;
+  if (this.salesEnd && at > this.salesEnd) return `${this.name} ticket sales have ended`;
+  return null;
+};
+
+// ==================================================
+// SESSION (one date/time slot; festivals have several)
+// ==================================================
+const sessionSchema = new mongoose.Schema(
+  {
+    name: { type: String, trim: true }, // e.g. "Day 1", optional
+
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, default: null },
+
+    // Seats in this session across all tiers (null = unlimited)
+    capacity: { type: Number, default: null, min: 0 },
+    sold: { type: Number, default: 0, min: 0 },
+  },
+  { toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+
+sessionSchema.virtual("remaining").get(function () {
+  return this.capacity == null ? null : Math.max(this.capacity - (this.sold || 0), 0);
+});
+
+sessionSchema.path("endsAt").validate(function (value) {
+  return !value || value > this.startsAt;
+}, "Session must end after it starts");
+
+// ==================================================
+// SCHEDULED EMAILS (sent by jobs/reminders.js)
+// ==================================================
+const reminderSettingsSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: true },
+
+    // Hours before each session starts, e.g. [168, 24] = a week and a day before
+    offsetsHours: {
+      type: [Number],
+      default: () => DEFAULT_REMINDER_OFFSETS,
+      validate: {
+        validator: (offsets) =>
+          offsets.every((hours) => Number.isInteger(hours) && hours > 0 && hours <= MAX_REMINDER_OFFSET_HOURS),
+        message: `Reminder offsets must be whole hours between 1 and ${MAX_REMINDER_OFFSET_HOURS}`,
+      },
+    },
+
+    // Optional thank-you / feedback email after each session ends
+    followUpEnabled: { type: Boolean, default: false },
+    followUpDelayHours: { type: Number, default: 2, min: 0, max: 168 },
+    followUpMessage: { type: String },
+    feedbackURL: { type: String },
+  },
+  { _id: false }
+);
 
 const eventSchema = new mongoose.Schema(
   {
     title: { type: String, required: true },
     description: { type: String, required: true },
 
-    // Event date
-    date: { type: String, required: true },
+    status: { type: String, enum: EVENT_STATUSES, default: "draft", index: true },
+    publishedAt: { type: Date, default: null },
+    archivedAt: { type: Date, default: null },
+    cancelledAt: { type: Date, default: null },
+    cancellationReason: { type: String, default: null },
+
+    // IANA time zone the event takes place in, used for display
+    timeZone: {
+      type: String,
+      default: DEFAULT_TIME_ZONE,
+      validate: { validator: isValidTimeZone, message: "Invalid time zone" },
+    },
+
+    // Dated sessions bookings attach to (a single show has one).
+    // Drafts may have none yet; publishing requires one (utils/eventStatus.js)
+    sessions: { type: [sessionSchema], default: [] },
+
+    // First session start / last session end, kept in sync on save (for sorting)
+    startsAt: { type: Date, index: true },
+    endsAt: { type: Date },
 
     // New fields
     category: { type: String },
     address: { type: String },
     location: { type: String },          // <-- New location field
-    standardPrice: { type: String },
-    vipPrice: { type: String },
-    eventTime: { type: String },  // Example: "7:00 PM - 10:00 PM"
+
+    // Ticket tiers on sale for this event
+    ticketTiers: {
+      type: [ticketTierSchema],
+      validate: {
+        validator: (tiers) => new Set(tiers.map((tier) => tier.name.toLowerCase())).size === tiers.length,
+        message: "Ticket tier names must be unique",
+      },
+    },
 
     refreshments: { type: String }, // optional
 
+    reminders: { type: reminderSettingsSchema, default: () => ({}) },
+
     // sponsor logos (multiple images)
     sponsorLogos: [{ type: String }],
+    sponsorLogoKeys: [{ type: String }], // storage keys, same order as sponsorLogos
 
     // Event main image
     imageUrl: { type: String },
+    imageKey: { type: String }, // storage key, used to delete the file
+    // Resized copies, including the "large" one imageUrl points at
+    imageVariants: { type: [imageVariantSchema], default: [] },
 
     createdAt: { type: Date, default: Date.now }
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+    // Seat counters change outside of save(), so saves must not overwrite them blindly
+    optimisticConcurrency: true,
+  }
 );
 
+// Listing filters and full-text search
+eventSchema.index({ title: "text", description: "text" });
+eventSchema.index({ category: 1, startsAt: 1 });
+eventSchema.index({ endsAt: 1 });
+
+// ==================================================
+// KEEP startsAt / endsAt IN SYNC WITH SESSIONS
+// ==================================================
+eventSchema.pre("validate", function () {
+  if (!this.sessions?.length) return;
+
+  const starts = this.sessions.map((session) => session.startsAt?.getTime()).filter(Boolean);
+  const ends = this.sessions.map((session) => (session.endsAt || session.startsAt)?.getTime()).filter(Boolean);
+
+  this.startsAt = starts.length ? new Date(Math.min(...starts)) : undefined;
+  this.endsAt = ends.length ? new Date(Math.max(...ends)) : undefined;
+});
+
+// ==================================================
+// REMAINING SEATS PER TIER NAME (null = unlimited)
+// ==================================================
+eventSchema.virtual("ticketsRemaining").get(function () {
+  const remaining = {};
+  for (const tier of this.ticketTiers || []) {
+    remaining[tier.name] = tier.remaining;
+  }
+  return remaining;
+});
+
+// Why tickets can't be booked for this event right now, or null
+eventSchema.methods.bookingClosedReason = function () {
+  if (this.status === "cancelled") return "This event has been cancelled";
+  if (this.status !== "published") return "This event is not open for booking";
+  return null;
+};
+
+// Finds a tier by its name
+eventSchema.methods.tierFor = function (name) {
+  return (this.ticketTiers || []).find((tier) => tier.name === name) || null;
+};
+
+// Finds a session by its id
+eventSchema.methods.sessionFor = function (sessionId) {
+  if (!sessionId) return null;
+  return (this.sessions || []).find((session) => session._id.equals(sessionId)) || null;
+};
+
+// Display strings for a session in the event's time zone
+eventSchema.methods.describeSession = function (session) {
+  if (!session) return null;
+  return {
+    id: session._id,
+    name: session.name || null,
+    startsAt: session.startsAt,
+    endsAt: session.endsAt,
+    timeZone: this.timeZone,
+    date: formatDate(session.startsAt, this.timeZone),
+    time: formatTimeRange(session.startsAt, session.endsAt, this.timeZone),
+  };
+};
+
+// ==================================================
+// ATOMIC SEAT RESERVATION
+// Takes a seat in both the tier and the session in a single update.
+// Returns the updated event, or null when either is sold out
+// (or the event was cancelled).
+// ==================================================
+
+// Aggregation condition: an array element matches and still has room
+const hasRoom = (arrayPath, matchField, value) => ({
+  $gt: [
+    {
+      $size: {
+        $filter: {
+          input: arrayPath,
+          cond: {
+            $and: [
+              { $eq: [`$$this.${matchField}`, value] },
+              {
+                $or: [
+                  { $eq: [{ $ifNull: ["$$this.capacity", null] }, null] },
+                  { $lt: [{ $ifNull: ["$$this.sold", 0] }, "$$this.capacity"] },
+                ],
+              },
+            ],
+          },
+        },
+      },
+    },
+    0,
+  ],
+});
+
+eventSchema.statics.reserveSeat = function (eventId, tierName, sessionId = null) {
+  const conditions = [hasRoom("$ticketTiers", "name", tierName)];
+  const inc = { "ticketTiers.$[tier].sold": 1, __v: 1 };
+  const arrayFilters = [{ "tier.name": tierName }];
+
+  if (sessionId) {
+    const id = new mongoose.Types.ObjectId(String(sessionId));
+    conditions.push(hasRoom("$sessions", "_id", id));
+    inc["sessions.$[session].sold"] = 1;
+    arrayFilters.push({ "session._id": id });
+  }
+
+  return this.findOneAndUpdate(
+    { _id: eventId, status: { $ne: "cancelled" }, $expr: { $and: conditions } },
+    { $inc: inc },
+    { new: true, arrayFilters }
+  );
+};
+
+eventSchema.statics.releaseSeat = function (eventId, tierName, sessionId = null) {
+  const inc = { "ticketTiers.$[tier].sold": -1, __v: 1 };
+  const arrayFilters = [{ "tier.name": tierName, "tier.sold": { $gt: 0 } }];
+
+  if (sessionId) {
+    inc["sessions.$[session].sold"] = -1;
+    arrayFilters.push({
+      "session._id": new mongoose.Types.ObjectId(String(sessionId)),
+      "session.sold": { $gt: 0 },
+    });
+  }
+
+  return this.findOneAndUpdate({ _id: eventId }, { $inc: inc }, { new: true, arrayFilters });
+};
+
 export default mongoose.model("Event", eventSchema);
@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+import { ROLES } from "../utils/permissions.js";
+
+const invitationSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, lowercase: true, trim: true },
+    role: { type: String, enum: ROLES, required: true },
+
+    // Only the SHA-256 of the invite token is stored
+    tokenHash: { type: String, required: true, unique: true },
+
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", required: true },
+    expiresAt: { type: Date, required: true },
+    acceptedAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Invitation", invitationSchema);
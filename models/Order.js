@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// One purchase (one purchaser, one payment receipt) covering several attendee tickets.
+// Each ticket is a Booking with orderId set; the order's status is applied to all of them.
+const orderSchema = new mongoose.Schema(
+  {
+    eventId: { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
+    sessionId: { type: mongoose.Schema.Types.ObjectId, default: null },
+
+    purchaser: {
+      firstName: { type: String, required: true },
+      lastName: { type: String, required: true },
+      contactNumber: { type: String, required: true },
+      emailAddress: { type: String, required: true },
+      cityName: { type: String, required: true },
+    },
+
+    receiptImageKey: { type: String, required: true },
+
+    // Totals across all tickets, in minor units
+    promoCode: { type: String, default: null },
+    currency: { type: String },
+    originalPrice: { type: Number },
+    discountAmount: { type: Number, default: 0 },
+    finalAmount: { type: Number },
+
+    status: {
+      type: String,
+      enum: ["Pending", "Paid", "Unpaid", "Cancelled"],
+      default: "Pending",
+    },
+    rejectionReason: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+orderSchema.index({ eventId: 1, createdAt: -1 });
+
+const Order = mongoose.model("Order", orderSchema);
+export default Order;
@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+const passwordResetSchema = new mongoose.Schema(
+  {
+    adminId: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", required: true, index: true },
+
+    // Only the SHA-256 of the emailed token is stored
+    tokenHash: { type: String, required: true, unique: true },
+
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+    // Set when a newer reset is requested for the same admin
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("PasswordReset", passwordResetSchema);
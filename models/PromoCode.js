@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+
+const promoCodeSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    description: { type: String },
+
+    discountType: { type: String, enum: ["percentage", "fixed"], required: true },
+    // Percent (0-100) for "percentage", money off in minor units for "fixed"
+    amount: { type: Number, required: true, min: 0 },
+
+    // Empty list = applies to every event / ticket type
+    events: [{ type: mongoose.Schema.Types.ObjectId, ref: "Event" }],
+    ticketTypes: [{ type: String }],
+
+    validFrom: { type: Date, default: null },
+    validUntil: { type: Date, default: null },
+
+    maxUses: { type: Number, default: null, min: 0 }, // null = unlimited
+    usedCount: { type: Number, default: 0, min: 0 },
+
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+promoCodeSchema.path("amount").validate(function (value) {
+  return this.discountType !== "percentage" || value <= 100;
+}, "Percentage discount cannot exceed 100");
+
+// ==================================================
+// CHECK A CODE CAN BE USED FOR A BOOKING
+// Returns null when it applies, otherwise the reason it doesn't.
+// ==================================================
+promoCodeSchema.methods.rejectionReason = function ({ eventId, ticketType, at = new Date() }) {
+  if (!this.active) return "Promo code is not active";
+  if (this.validFrom && at < this.validFrom) return "Promo code is not valid yet";
+  if (this.validUntil && at > this.validUntil) return "Promo code has expired";
+  if (this.maxUses != null && this.usedCount >= this.maxUses) return "Promo code has been fully used";
+
+  if (this.events.length && !this.events.some((id) => id.equals(eventId))) {
+    return "Promo code does not apply to this event";
+  }
+  if (this.ticketTypes.length && !this.ticketTypes.includes(ticketType)) {
+    return "Promo code does not apply to this ticket type";
+  }
+
+  return null;
+};
+
+// Discount for a price in minor units, never more than the price itself
+promoCodeSchema.methods.discountFor = function (price) {
+  const discount =
+    this.discountType === "percentage" ? (price * this.amount) / 100 : this.amount;
+  return Math.round(Math.min(discount, price));
+};
+
+// ==================================================
+// ATOMIC USAGE COUNTING
+// redeem returns null when the usage limit was reached meanwhile.
+// ==================================================
+promoCodeSchema.statics.redeem = function (promoId) {
+  return this.findOneAndUpdate(
+    {
+      _id: promoId,
+      active: true,
+      $or: [{ maxUses: null }, { $expr: { $lt: ["$usedCount", "$maxUses"] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+};
+
+promoCodeSchema.statics.unredeem = function (promoId) {
+  return this.findOneAndUpdate(
+    { _id: promoId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { new: true }
+  );
+};
+
+export default mongoose.model("PromoCode", promoCodeSchema);
@@ -0,0 +1,16 @@
+import mongoose from "mongoose";
+
+// One fixed window of a rate limit (see middleware/rateLimit.js).
+// Stored in MongoDB so every server instance shares the same counts.
+const rateLimitCounterSchema = new mongoose.Schema({
+  // "<limit name>:<ip or email>:<window number>"
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+
+  // MongoDB's TTL monitor removes the counter once its window is over
+  expiresAt: { type: Date, required: true },
+});
+
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("RateLimitCounter", rateLimitCounterSchema);
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// Someone waiting for a seat in a sold-out tier/session.
+// An offer holds the freed seat (counted in the tier's `sold`) until it is claimed or expires.
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    eventId: { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
+    sessionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    ticketType: { type: String, required: true },
+
+    firstName: { type: String, required: true },
+    lastName: { type: String, required: true },
+    contactNumber: { type: String, required: true },
+    emailAddress: { type: String, required: true, lowercase: true, trim: true },
+    cityName: { type: String, required: true },
+
+    // Lower goes first; admins can reorder
+    position: { type: Number, required: true },
+
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "claimed", "expired", "removed"],
+      default: "waiting",
+    },
+
+    // Claim link for the current offer (only the hash is kept)
+    offerTokenHash: { type: String, default: null, select: false },
+    offeredAt: { type: Date, default: null },
+    offerExpiresAt: { type: Date, default: null },
+
+    claimedAt: { type: Date, default: null },
+    bookingId: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", default: null },
+  },
+  { timestamps: true }
+);
+
+waitlistEntrySchema.index({ eventId: 1, status: 1, position: 1 });
+waitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+
+const WaitlistEntry = mongoose.model("WaitlistEntry", waitlistEntrySchema);
+export default WaitlistEntry;
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+// Lifecycle events admins can subscribe an endpoint to
+export const WEBHOOK_EVENTS = [
+  "booking.created",
+  "booking.status_changed",
+  "booking.checked_in",
+  "event.created",
+  "event.updated",
+  "event.status_changed",
+  "event.deleted",
+];
+
+const webhookSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+      validate: {
+        validator: (value) => {
+          try {
+            return ["http:", "https:"].includes(new URL(value).protocol);
+          } catch (err) {
+            return false;
+          }
+        },
+        message: "Webhook URL must be an http(s) URL",
+      },
+    },
+    description: { type: String },
+
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      validate: { validator: (events) => events.length > 0, message: "Subscribe to at least one event" },
+    },
+
+    // HMAC key for the X-Webhook-Signature header; only shown when created or rotated
+    secret: { type: String, required: true, select: false },
+
+    active: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+  },
+  { timestamps: true }
+);
+
+webhookSchema.index({ active: 1, events: 1 });
+
+export default mongoose.model("Webhook", webhookSchema);
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// One POST to one webhook endpoint (the delivery log)
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhookId: { type: mongoose.Schema.Types.ObjectId, ref: "Webhook", required: true, index: true },
+    event: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+
+    // Set when an admin replays an earlier delivery
+    replayOf: { type: mongoose.Schema.Types.ObjectId, ref: "WebhookDelivery", default: null },
+
+    status: {
+      type: String,
+      enum: ["queued", "sending", "delivered", "failed"],
+      default: "queued",
+    },
+
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 8 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date, default: null },
+
+    // Last attempt's outcome
+    responseStatus: { type: Number, default: null },
+    responseBody: { type: String, default: null },
+    lastError: { type: String, default: null },
+    deliveredAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+export default mongoose.model("WebhookDelivery", webhookDeliverySchema);
@@ -1,61 +1,485 @@
 import express from "express";
 import Admin from "../models/Admin.js";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import Invitation from "../models/Invitation.js";
+import PasswordReset from "../models/PasswordReset.js";
+import { authAdmin, authorize } from "../middleware/adminMiddleware.js";
+import { endAdminSessions, endSession, hashToken, refreshSession, startSession } from "../utils/adminAuth.js";
+import { enqueueEmail } from "../jobs/emailOutbox.js";
+import { ROLES } from "../utils/permissions.js";
+import { recordAudit, snapshot } from "../utils/audit.js";
+import { sendError, sendTooManyRequests } from "../utils/errors.js";
+import { rateLimit, LIMITS, byIp, byEmail, hit } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import {
+  acceptInviteBody,
+  changePasswordBody,
+  forgotPasswordBody,
+  inviteBody,
+  loginBody,
+  refreshBody,
+  resetPasswordBody,
+  roleBody,
+  setupBody,
+} from "../validators/adminSchemas.js";
+import { idParams } from "../validators/common.js";
 
 const router = express.Router();
 
-// 🔹 Admin Registration (optional, one-time)
-router.post("/register", async (req, res) => {
+// 🔹 First Owner Setup (only works while no admin exists)
+router.post("/setup", validate({ body: setupBody }), async (req, res) => {
   try {
     const { name, email, password } = req.body;
 
-    const existing = await Admin.findOne({ email });
-    if (existing) return res.status(400).json({ message: "Admin already exists" });
+    const count = await Admin.countDocuments();
+    if (count > 0) return sendError(res, 403, "Setup already completed");
 
     const hashed = await bcrypt.hash(password, 10);
 
-    const admin = new Admin({ name, email, password: hashed });
+    const admin = new Admin({ name, email, password: hashed, role: "owner" });
     await admin.save();
 
-    res.status(201).json({ success: true, message: "Admin created" });
+    await recordAudit(req, { action: "admin.setup", targetType: "Admin", after: admin, actor: admin._id });
+
+    res.status(201).json({ success: true, message: "Owner account created" });
   } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
+    console.error(err);
+    sendError(res, 500, "Setup failed");
   }
 });
 
 // 🔹 Admin Login
-router.post("/login", async (req, res) => {
+// Wrong passwords are counted per email, whether or not an admin has it, and once
+// MAX_FAILED_LOGINS pile up within the lockout window every further wrong password
+// gets the same "locked" answer. The right password still works, so nobody can
+// keep the owner out; the per-IP/per-email limits above cap the guessing.
+const MAX_FAILED_LOGINS = Number(process.env.ADMIN_MAX_FAILED_LOGINS || 5);
+const LOCKOUT_MS = Number(process.env.ADMIN_LOCKOUT_MINUTES || 15) * 60 * 1000;
+
+// Compared against for unknown emails, so they take as long as real ones
+const DUMMY_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString("hex"), 10);
+
+// Seconds left on the lock once this failure reaches MAX_FAILED_LOGINS, otherwise 0
+const countFailedLogin = async (email) => {
+  try {
+    return await hit("admin-login-failed", email.toLowerCase().trim(), {
+      max: MAX_FAILED_LOGINS - 1,
+      windowMs: LOCKOUT_MS,
+    });
+  } catch (err) {
+    console.error("Rate Limit Error:", err);
+    return 0;
+  }
+};
+
+router.post(
+  "/login",
+  rateLimit("admin-login-ip", LIMITS.adminLoginByIp, byIp),
+  validate({ body: loginBody }),
+  rateLimit("admin-login-email", LIMITS.adminLoginByEmail, byEmail("email")),
+  async (req, res) => {
+    try {
+      const { email, password } = req.body;
+
+      const admin = await Admin.findOne({ email });
+      const match = await bcrypt.compare(password, admin?.password || DUMMY_HASH);
+
+      if (!admin || !match) {
+        const retryAfter = await countFailedLogin(email);
+        if (!retryAfter) return sendError(res, 400, "Invalid credentials");
+
+        if (admin) {
+          await recordAudit(req, {
+            action: "admin.locked",
+            targetType: "Admin",
+            targetId: admin._id,
+            after: { retryAfter },
+            actor: admin._id,
+          });
+        }
+        return sendTooManyRequests(res, retryAfter, "Too many failed logins, try again later", {
+          code: "ACCOUNT_LOCKED",
+        });
+      }
+
+      // Only revealed to someone who knows the password
+      if (!admin.active) return sendError(res, 403, "Account is deactivated");
+
+      res.status(200).json({ success: true, ...(await startSession(admin, req)) });
+    } catch (err) {
+      console.error("Login Error:", err);
+      sendError(res, 500, "Login failed");
+    }
+  }
+);
+
+// ==================================================
+// SESSIONS
+// Access tokens last minutes; the refresh token gets a new pair
+// and is replaced by a new one each time it is used.
+// ==================================================
+
+// 🔹 Swap a refresh token for a new access + refresh token
+router.post("/token/refresh", validate({ body: refreshBody }), async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const tokens = await refreshSession(req.body.refreshToken, req);
+    if (!tokens) return sendError(res, 401, "Session has ended, please log in again");
 
-    // DEBUG: check what is coming from frontend
-    console.log("Login attempt:", email, password);
+    res.json({ success: true, ...tokens });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Failed to refresh session");
+  }
+});
 
-    const admin = await Admin.findOne({ email });
-    console.log("Admin found:", admin ? admin.email : "NOT FOUND");
+// 🔹 Log out of this device
+router.post("/logout", authAdmin, async (req, res) => {
+  try {
+    await endSession(req.admin.sessionId);
+    res.json({ success: true, message: "Logged out" });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Logout failed");
+  }
+});
 
-    if (!admin) return res.status(400).json({ message: "Invalid credentials" });
+// 🔹 Log out of every device (including this one)
+router.post("/logout-all", authAdmin, async (req, res) => {
+  try {
+    const ended = await endAdminSessions(req.admin.id, "logout_all");
 
-    const match = await bcrypt.compare(password, admin.password);
-    console.log("Password match:", match);
+    await recordAudit(req, {
+      action: "admin.logout_all",
+      targetType: "Admin",
+      targetId: req.admin.id,
+      after: { ended },
+    });
+
+    res.json({ success: true, message: "Logged out of all sessions", ended });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Logout failed");
+  }
+});
+
+// ==================================================
+// PASSWORDS
+// ==================================================
+const RESET_TTL_MINUTES = Number(process.env.ADMIN_PASSWORD_RESET_MINUTES || 60);
+
+// 🔹 Change my password (other sessions are logged out)
+router.put("/password", authAdmin, validate({ body: changePasswordBody }), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
 
-    if (!match) return res.status(400).json({ message: "Invalid credentials" });
+    const admin = await Admin.findById(req.admin.id);
+    if (!(await bcrypt.compare(currentPassword, admin.password))) {
+      return sendError(res, 400, "Current password is incorrect");
+    }
 
-    const token = jwt.sign(
-      { id: admin._id, isAdmin: admin.isAdmin },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
+    admin.password = await bcrypt.hash(newPassword, 10);
+    await admin.save();
+
+    const ended = await endAdminSessions(admin._id, "password_changed", { except: req.admin.sessionId });
+    await recordAudit(req, { action: "admin.password_change", targetType: "Admin", targetId: admin._id });
+
+    res.json({ success: true, message: "Password changed", endedSessions: ended });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Failed to change password");
+  }
+});
+
+// 🔹 Email a reset link (same answer whether or not the account exists)
+router.post(
+  "/password/forgot",
+  rateLimit("password-reset-ip", LIMITS.passwordResetByIp, byIp),
+  validate({ body: forgotPasswordBody }),
+  rateLimit("password-reset-email", LIMITS.passwordResetByEmail, byEmail("email")),
+  async (req, res) => {
+    try {
+      const admin = await Admin.findOne({ email: req.body.email });
+
+      if (admin?.active) {
+        // Only the newest link works
+        await PasswordReset.updateMany(
+          { adminId: admin._id, usedAt: null, revokedAt: null },
+          { revokedAt: new Date() }
+        );
+
+        const token = crypto.randomBytes(32).toString("hex");
+        await PasswordReset.create({
+          adminId: admin._id,
+          tokenHash: hashToken(token),
+          expiresAt: new Date(Date.now() + RESET_TTL_MINUTES * 60 * 1000),
+        });
+
+        await enqueueEmail({
+          type: "admin-password-reset",
+          admin,
+          data: {
+            resetURL: `${process.env.CLIENT_URI}/admin/reset-password/${token}`,
+            expiresInMinutes: RESET_TTL_MINUTES,
+          },
+        });
+      }
+    } catch (err) {
+      console.error(err);
+      return sendError(res, 500, "Failed to send reset link");
+    }
+
+    res.json({ success: true, message: "If this email belongs to an account, a reset link has been sent to it" });
+  }
+);
+
+// 🔹 Choose a new password with a reset link (logs out every session)
+router.post("/password/reset", validate({ body: resetPasswordBody }), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // Claim the reset atomically so the link can only be used once
+    const reset = await PasswordReset.findOneAndUpdate(
+      { tokenHash: hashToken(token), usedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { usedAt: new Date() },
+      { new: true }
     );
+    if (!reset) return sendError(res, 400, "Reset link is invalid or has expired");
 
-    console.log("Token generated:", token.substring(0, 10) + "..."); // debug
-    res.status(200).json({ success: true, token });
+    const admin = await Admin.findOneAndUpdate(
+      { _id: reset.adminId, active: true },
+      { password: await bcrypt.hash(password, 10) },
+      { new: true }
+    );
+    if (!admin) return sendError(res, 400, "Reset link is invalid or has expired");
+
+    await endAdminSessions(admin._id, "password_reset");
+    await recordAudit(req, {
+      action: "admin.password_reset",
+      targetType: "Admin",
+      targetId: admin._id,
+      actor: admin._id,
+    });
+
+    res.json({ success: true, message: "Password reset, please log in" });
   } catch (err) {
-    console.log("Login error:", err);
-    res.status(500).json({ success: false, message: err.message });
+    console.error(err);
+    sendError(res, 500, "Failed to reset password");
   }
 });
 
+// ==================================================
+// STAFF INVITATIONS (OWNER ONLY)
+// ==================================================
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// 🔹 Invite a staff member
+router.post("/invitations", authorize("staff:manage"), validate({ body: inviteBody }), async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    const existing = await Admin.findOne({ email: email.toLowerCase().trim() });
+    if (existing) return sendError(res, 400, "Admin already exists");
+
+    const token = crypto.randomBytes(32).toString("hex");
 
+    const invitation = await Invitation.create({
+      email,
+      role,
+      tokenHash: hashToken(token),
+      invitedBy: req.admin.id,
+      expiresAt: new Date(Date.now() + INVITE_TTL_MS),
+    });
+
+    await recordAudit(req, { action: "invitation.create", targetType: "Invitation", after: invitation });
+
+    res.status(201).json({
+      success: true,
+      invitation: {
+        id: invitation._id,
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt,
+      },
+      inviteLink: `${process.env.CLIENT_URI}/admin/accept-invite/${token}`,
+    });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Failed to create invitation");
+  }
+});
+
+// 🔹 List open invitations
+router.get("/invitations", authorize("staff:manage"), async (req, res) => {
+  try {
+    const invitations = await Invitation.find({
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("-tokenHash")
+      .populate("invitedBy", "name email")
+      .sort({ createdAt: -1 });
+
+    res.json(invitations);
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Failed to fetch invitations");
+  }
+});
+
+// 🔹 Revoke an invitation
+router.delete("/invitations/:id", authorize("staff:manage"), validate({ params: idParams }), async (req, res) => {
+  try {
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.id, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    if (!invitation) return sendError(res, 404, "Invitation not found");
+
+    await recordAudit(req, { action: "invitation.revoke", targetType: "Invitation", after: invitation });
+
+    res.json({ success: true, message: "Invitation revoked" });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Failed to revoke invitation");
+  }
+});
+
+// 🔹 Accept an invitation and create the staff account
+router.post("/invitations/accept", validate({ body: acceptInviteBody }), async (req, res) => {
+  try {
+    const { token, name, password } = req.body;
+
+    // Claim the invitation atomically so it can only be used once
+    const invitation = await Invitation.findOneAndUpdate(
+      {
+        tokenHash: hashToken(token),
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      { acceptedAt: new Date() },
+      { new: true }
+    );
+    if (!invitation) return sendError(res, 400, "Invitation is invalid or has expired");
+
+    const existing = await Admin.findOne({ email: invitation.email });
+    if (existing) return sendError(res, 400, "Admin already exists");
+
+    const hashed = await bcrypt.hash(password, 10);
+
+    const admin = await Admin.create({
+      name,
+      email: invitation.email,
+      password: hashed,
+      role: invitation.role,
+      invitedBy: invitation.invitedBy,
+    });
+
+    await recordAudit(req, { action: "admin.create", targetType: "Admin", after: admin, actor: admin._id });
+
+    res.status(201).json({ success: true, message: "Account created" });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Failed to create account");
+  }
+});
+
+// ==================================================
+// STAFF MANAGEMENT (OWNER ONLY)
+// ==================================================
+
+// Refuses changes that would leave no active owner
+const isLastActiveOwner = async (admin) => {
+  if (admin.role !== "owner" || !admin.active) return false;
+  const owners = await Admin.countDocuments({ role: "owner", active: true });
+  return owners <= 1;
+};
+
+// 🔹 List staff
+router.get("/staff", authorize("staff:manage"), async (req, res) => {
+  try {
+    const staff = await Admin.find().select("-password").sort({ createdAt: -1 });
+    res.json(staff);
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Failed to fetch staff");
+  }
+});
+
+// 🔹 Change a staff member's role
+router.put(
+  "/staff/:id/role",
+  authorize("staff:manage"),
+  validate({ params: idParams, body: roleBody }),
+  async (req, res) => {
+    try {
+      const { role } = req.body;
+
+      const admin = await Admin.findById(req.params.id);
+      if (!admin) return sendError(res, 404, "Admin not found");
+
+      if (role !== "owner" && (await isLastActiveOwner(admin))) {
+        return sendError(res, 400, "Cannot demote the last active owner");
+      }
+
+      const before = snapshot(admin);
+      admin.role = role;
+      await admin.save();
+
+      await recordAudit(req, { action: "admin.role_change", targetType: "Admin", before, after: admin });
+
+      res.json({ success: true, message: "Role updated", admin: { id: admin._id, role: admin.role } });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to update role");
+    }
+  }
+);
+
+// 🔹 Deactivate a staff member
+router.put("/staff/:id/deactivate", authorize("staff:manage"), validate({ params: idParams }), async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) return sendError(res, 404, "Admin not found");
+
+    if (await isLastActiveOwner(admin)) {
+      return sendError(res, 400, "Cannot deactivate the last active owner");
+    }
+
+    const before = snapshot(admin);
+    admin.active = false;
+    await admin.save();
+    await endAdminSessions(admin._id, "deactivated");
+
+    await recordAudit(req, { action: "admin.deactivate", targetType: "Admin", before, after: admin });
+
+    res.json({ success: true, message: "Admin deactivated" });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Failed to deactivate admin");
+  }
+});
+
+// 🔹 Reactivate a staff member
+router.put("/staff/:id/activate", authorize("staff:manage"), validate({ params: idParams }), async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) return sendError(res, 404, "Admin not found");
+
+    const before = snapshot(admin);
+    admin.active = true;
+    await admin.save();
+
+    await recordAudit(req, { action: "admin.activate", targetType: "Admin", before, after: admin });
+
+    res.json({ success: true, message: "Admin activated" });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Failed to activate admin");
+  }
+});
 
 export default router;
@@ -0,0 +1,260 @@
+import express from "express";
+import mongoose from "mongoose";
+import Booking from "../models/Booking.js";
+import { authorize } from "../middleware/adminMiddleware.js";
+import { parseDateParam, range } from "../utils/query.js";
+import { DEFAULT_TIME_ZONE } from "../utils/dateTime.js";
+import { AppError, sendError } from "../utils/errors.js";
+import { validate } from "../middleware/validate.js";
+import { analyticsQuery } from "../validators/reportSchemas.js";
+
+const router = express.Router();
+
+// Every endpoint here is read-only reporting
+router.use(authorize("analytics:read"), validate({ query: analyticsQuery }));
+
+// -----------------------------
+// Common filters: from/to (booking date) and eventId
+// -----------------------------
+const buildMatch = (query) => {
+  const match = {};
+
+  const dates = range(parseDateParam(query.from, "from"), parseDateParam(query.to, "to"));
+  if (dates) match.createdAt = dates;
+
+  if (query.eventId) match.eventId = new mongoose.Types.ObjectId(String(query.eventId));
+
+  return match;
+};
+
+// MongoDB's "unrecognized time zone identifier": its tz database lags behind
+// luxon's, so a zone that passed validation can still be turned down here
+const MONGO_UNKNOWN_TIME_ZONE = 40485;
+
+// Wraps a handler so bad filters answer 400 and anything else 500
+const report = (name, handler) => async (req, res) => {
+  let match;
+  try {
+    match = buildMatch(req.query);
+  } catch (err) {
+    return sendError(res, 400, err.message);
+  }
+
+  try {
+    res.json(await handler(match, req));
+  } catch (err) {
+    if (err.code === MONGO_UNKNOWN_TIME_ZONE) {
+      throw new AppError(400, "Validation failed", {
+        code: "VALIDATION_ERROR",
+        errors: [{ field: "query.timeZone", message: "Invalid time zone", code: "custom" }],
+      });
+    }
+    console.error(`${name} Error:`, err);
+    sendError(res, 500, `Failed to build ${name.toLowerCase()} report`);
+  }
+};
+
+// Pulls the event title in after grouping
+const lookupEventTitle = [
+  { $lookup: { from: "events", localField: "_id.eventId", foreignField: "_id", as: "event" } },
+  { $addFields: { eventTitle: { $ifNull: [{ $arrayElemAt: ["$event.title", 0] }, null] } } },
+  { $project: { event: 0 } },
+];
+
+// -----------------------------
+// Bookings and revenue per event, by ticket type and status
+// Revenue only counts Paid bookings: [{ currency, amount }] in minor units
+// -----------------------------
+router.get(
+  "/sales-by-event",
+  report("Sales", (match) =>
+    Booking.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { eventId: "$eventId", ticketType: "$ticketType", status: "$status", currency: "$currency" },
+          bookings: { $sum: 1 },
+          amount: { $sum: { $ifNull: ["$finalAmount", 0] } },
+        },
+      },
+      {
+        $group: {
+          _id: { eventId: "$_id.eventId" },
+          totalBookings: { $sum: "$bookings" },
+          breakdown: {
+            $push: {
+              ticketType: "$_id.ticketType",
+              status: "$_id.status",
+              currency: "$_id.currency",
+              bookings: "$bookings",
+              amount: "$amount",
+            },
+          },
+        },
+      },
+      // Amounts in different currencies can't be added up: one total per currency
+      { $addFields: { paid: { $filter: { input: "$breakdown", cond: { $eq: ["$$this.status", "Paid"] } } } } },
+      {
+        $addFields: {
+          paidRevenue: {
+            $map: {
+              input: { $setUnion: ["$paid.currency"] },
+              as: "currency",
+              in: {
+                currency: "$$currency",
+                amount: {
+                  $sum: {
+                    $map: {
+                      input: { $filter: { input: "$paid", cond: { $eq: ["$$this.currency", "$$currency"] } } },
+                      in: "$$this.amount",
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      ...lookupEventTitle,
+      { $sort: { totalBookings: -1, eventTitle: 1 } },
+      {
+        $project: {
+          _id: 0,
+          eventId: "$_id.eventId",
+          eventTitle: 1,
+          totalBookings: 1,
+          paidRevenue: 1,
+          breakdown: 1,
+        },
+      },
+    ])
+  )
+);
+
+// -----------------------------
+// Daily sales over time (?timeZone=Asia/Karachi decides where a day starts)
+// paidRevenue is [{ currency, amount }] in minor units
+// -----------------------------
+router.get(
+  "/daily-sales",
+  report("Daily Sales", (match, req) => {
+    const timeZone = req.query.timeZone || DEFAULT_TIME_ZONE;
+
+    return Booking.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            date: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt", timezone: timeZone } },
+            currency: "$currency",
+          },
+          bookings: { $sum: 1 },
+          paidBookings: { $sum: { $cond: [{ $eq: ["$status", "Paid"] }, 1, 0] } },
+          amount: {
+            $sum: { $cond: [{ $eq: ["$status", "Paid"] }, { $ifNull: ["$finalAmount", 0] }, 0] },
+          },
+        },
+      },
+      {
+        $group: {
+          _id: "$_id.date",
+          bookings: { $sum: "$bookings" },
+          paidBookings: { $sum: "$paidBookings" },
+          currencies: { $push: { currency: "$_id.currency", paidBookings: "$paidBookings", amount: "$amount" } },
+        },
+      },
+      { $sort: { _id: 1 } },
+      {
+        $project: {
+          _id: 0,
+          date: "$_id",
+          bookings: 1,
+          paidBookings: 1,
+          // Amounts in different currencies can't be added up: one total per currency
+          paidRevenue: {
+            $map: {
+              input: { $filter: { input: "$currencies", cond: { $gt: ["$$this.paidBookings", 0] } } },
+              in: { currency: "$$this.currency", amount: "$$this.amount" },
+            },
+          },
+        },
+      },
+    ]);
+  })
+);
+
+// -----------------------------
+// Attendee distribution by city (non-cancelled bookings)
+// -----------------------------
+router.get(
+  "/cities",
+  report("Cities", (match) =>
+    Booking.aggregate([
+      { $match: { ...match, status: { $ne: "Cancelled" } } },
+      // "Lahore", "lahore " and "LAHORE" are the same city
+      { $group: { _id: { $toLower: { $trim: { input: "$cityName" } } }, bookings: { $sum: 1 } } },
+      { $sort: { bookings: -1 } },
+      { $project: { _id: 0, city: "$_id", bookings: 1 } },
+    ])
+  )
+);
+
+// -----------------------------
+// Conversion from Pending to Paid
+// -----------------------------
+router.get(
+  "/conversion",
+  report("Conversion", async (match) => {
+    const rows = await Booking.aggregate([
+      { $match: match },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]);
+
+    const byStatus = { Pending: 0, Paid: 0, Unpaid: 0, Cancelled: 0 };
+    for (const row of rows) byStatus[row._id] = row.count;
+
+    const total = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+    // Bookings still Pending haven't been decided yet, so leave them out of the rate
+    const decided = total - byStatus.Pending;
+
+    return {
+      total,
+      byStatus,
+      conversionRate: total ? byStatus.Paid / total : 0,
+      decidedConversionRate: decided ? byStatus.Paid / decided : 0,
+    };
+  })
+);
+
+// -----------------------------
+// Check-in rate per event (checked in / Paid)
+// -----------------------------
+router.get(
+  "/check-in-rate",
+  report("Check-in", (match) =>
+    Booking.aggregate([
+      { $match: { ...match, status: "Paid" } },
+      {
+        $group: {
+          _id: { eventId: "$eventId" },
+          paid: { $sum: 1 },
+          checkedIn: { $sum: { $cond: [{ $ifNull: ["$checkedInAt", false] }, 1, 0] } },
+        },
+      },
+      ...lookupEventTitle,
+      {
+        $project: {
+          _id: 0,
+          eventId: "$_id.eventId",
+          eventTitle: 1,
+          paid: 1,
+          checkedIn: 1,
+          checkInRate: { $cond: [{ $gt: ["$paid", 0] }, { $divide: ["$checkedIn", "$paid"] }, 0] },
+        },
+      },
+      { $sort: { eventTitle: 1 } },
+    ])
+  )
+);
+
+export default router;
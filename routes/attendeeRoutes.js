@@ -0,0 +1,424 @@
+import express from "express";
+import crypto from "crypto";
+import Booking from "../models/Booking.js";
+import Order from "../models/Order.js";
+import { authAttendee, authPurchaser } from "../middleware/attendeeMiddleware.js";
+import {
+  signAttendeeToken,
+  signPurchaserToken,
+  signTicketToken,
+  ticketVerificationURL,
+} from "../utils/ticketToken.js";
+import { enqueueEmail } from "../jobs/emailOutbox.js";
+import { exactRegex } from "../utils/query.js";
+import { receiptUpload } from "../middleware/upload.js";
+import { removeFile } from "../utils/storage/index.js";
+import { storeReceipt } from "../utils/media.js";
+import { BookingStatusError, changeBookingStatus } from "../utils/bookingStatus.js";
+import { sendError } from "../utils/errors.js";
+import { rateLimit, LIMITS, byIp, byEmail } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import {
+  cancelRequestBody,
+  loginBody,
+  requestCodeBody,
+  transferBody,
+  verifyCodeBody,
+} from "../validators/attendeeSchemas.js";
+
+const router = express.Router();
+
+const ACCESS_CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_CODE_ATTEMPTS = 5;
+// Codes are emailed for at most this many of an address's bookings
+const MAX_CODE_BOOKINGS = 5;
+
+// Login, code requests and code checks share one budget per IP and per email
+const signInLimits = [
+  rateLimit("attendee-login-ip", LIMITS.attendeeLoginByIp, byIp),
+  rateLimit("attendee-login-email", LIMITS.attendeeLoginByEmail, byEmail("emailAddress")),
+];
+
+const hashCode = (code) => crypto.createHash("sha256").update(String(code)).digest("hex");
+
+/* ----------------------------------------------------
+   HELPER: WHAT AN ATTENDEE MAY SEE OF THEIR BOOKING
+---------------------------------------------------- */
+const attendeeView = (booking) => {
+  const event = booking.eventId;
+  const ticketValid = booking.status === "Paid" && !booking.ticketTokenRevokedAt;
+
+  return {
+    ticketNumber: booking.ticketNumber,
+    firstName: booking.firstName,
+    lastName: booking.lastName,
+    emailAddress: booking.emailAddress,
+    contactNumber: booking.contactNumber,
+    cityName: booking.cityName,
+    ticketType: booking.ticketType,
+    status: booking.status,
+    rejectionReason: booking.status === "Unpaid" ? booking.rejectionReason : null,
+    currency: booking.currency,
+    finalAmount: booking.finalAmount,
+    event: event ? { id: event._id, title: event.title, address: event.address } : null,
+    session: booking.bookedSession(),
+    cancellationRequest: booking.cancellationRequest?.requestedAt ? booking.cancellationRequest : null,
+    checkedInAt: booking.checkedInAt,
+    ticket: ticketValid
+      ? { token: signTicketToken(booking), verificationURL: ticketVerificationURL(booking) }
+      : null,
+  };
+};
+
+const sessionResponse = (booking) => ({
+  token: signAttendeeToken(booking),
+  booking: attendeeView(booking),
+});
+
+/* ----------------------------------------------------
+   LOGIN WITH TICKET NUMBER + EMAIL
+---------------------------------------------------- */
+router.post("/login", validate({ body: loginBody }), signInLimits, async (req, res) => {
+  try {
+    const { ticketNumber, emailAddress } = req.body;
+
+    const booking = await Booking.findOne({
+      ticketNumber: String(ticketNumber).trim(),
+      emailAddress: exactRegex(String(emailAddress).trim()),
+    }).populate("eventId");
+
+    // Same answer whether the ticket or the email is wrong
+    if (!booking) return sendError(res, 401, "No booking matches these details");
+
+    res.json(sessionResponse(booking));
+  } catch (error) {
+    console.error("Attendee Login Error:", error);
+    sendError(res, 500, "Login failed");
+  }
+});
+
+/* ----------------------------------------------------
+   REQUEST A ONE-TIME CODE BY EMAIL
+---------------------------------------------------- */
+router.post("/request-code", validate({ body: requestCodeBody }), signInLimits, async (req, res) => {
+  const { emailAddress } = req.body;
+
+  try {
+    const bookings = await Booking.find({ emailAddress: exactRegex(String(emailAddress).trim()) })
+      .populate("eventId")
+      .sort({ createdAt: -1 })
+      .limit(MAX_CODE_BOOKINGS);
+
+    for (const booking of bookings) {
+      const code = crypto.randomInt(100000, 1000000).toString();
+
+      await Booking.updateOne(
+        { _id: booking._id },
+        {
+          accessCode: {
+            hash: hashCode(code),
+            expiresAt: new Date(Date.now() + ACCESS_CODE_TTL_MS),
+            attempts: 0,
+          },
+        }
+      );
+
+      await enqueueEmail({ type: "access-code", booking, data: { code } });
+    }
+  } catch (error) {
+    console.error("Access Code Error:", error);
+    return sendError(res, 500, "Failed to send access code");
+  }
+
+  // Never reveal whether the address has bookings
+  res.json({ message: "If this email has bookings, a code has been sent to it" });
+});
+
+/* ----------------------------------------------------
+   LOGIN WITH A ONE-TIME CODE
+---------------------------------------------------- */
+router.post("/verify-code", validate({ body: verifyCodeBody }), signInLimits, async (req, res) => {
+  try {
+    const { emailAddress, code } = req.body;
+
+    const email = exactRegex(String(emailAddress).trim());
+    const live = {
+      emailAddress: email,
+      "accessCode.expiresAt": { $gt: new Date() },
+      "accessCode.attempts": { $lt: MAX_CODE_ATTEMPTS },
+    };
+
+    // Single use: the code is cleared in the same update that accepts it
+    const booking = await Booking.findOneAndUpdate(
+      { ...live, "accessCode.hash": hashCode(String(code).trim()) },
+      { accessCode: { hash: null, expiresAt: null, attempts: 0 } },
+      { new: true }
+    ).populate("eventId");
+
+    if (!booking) {
+      await Booking.updateMany(live, { $inc: { "accessCode.attempts": 1 } });
+      return sendError(res, 401, "Invalid or expired code");
+    }
+
+    res.json(sessionResponse(booking));
+  } catch (error) {
+    console.error("Verify Code Error:", error);
+    sendError(res, 500, "Failed to verify code");
+  }
+});
+
+/* ----------------------------------------------------
+   VIEW MY BOOKING
+---------------------------------------------------- */
+router.get("/booking", authAttendee, (req, res) => {
+  res.json(attendeeView(req.booking));
+});
+
+/* ----------------------------------------------------
+   RESEND MY TICKET
+---------------------------------------------------- */
+router.post("/booking/resend", authAttendee, async (req, res) => {
+  try {
+    const booking = req.booking;
+    if (booking.status !== "Paid" || booking.ticketTokenRevokedAt) {
+      return sendError(res, 400, "A ticket is only available once payment is confirmed");
+    }
+
+    await enqueueEmail({ type: "ticket", booking });
+    await Booking.updateOne(
+      { _id: booking._id },
+      { $push: { history: { type: "ticket_resend", actorType: "attendee" } } }
+    );
+
+    res.status(202).json({ message: "Your ticket will be emailed shortly" });
+  } catch (error) {
+    console.error("Ticket Resend Error:", error);
+    sendError(res, 500, "Failed to resend ticket");
+  }
+});
+
+/* ----------------------------------------------------
+   HELPER: NEW RECEIPT FOR A REJECTED BOOKING OR ORDER
+   Sends it back to the review queue. For a group order
+   the new receipt covers every rejected ticket in it.
+---------------------------------------------------- */
+const resubmitReceipt = async (req, res, { booking, order }) => {
+  let receipt;
+
+  try {
+    if (!req.file) return sendError(res, 400, "A receipt (image or PDF) is required");
+    if ((booking || order).status !== "Unpaid") {
+      return sendError(res, 409, "A new receipt is only needed after a payment is rejected");
+    }
+
+    receipt = await storeReceipt(req.file);
+
+    if (!order && booking.orderId) order = await Order.findById(booking.orderId);
+    const tickets = order ? await Booking.find({ orderId: order._id, status: "Unpaid" }) : [booking];
+
+    let moved = 0;
+    for (const ticket of tickets) {
+      try {
+        await changeBookingStatus(ticket, "Pending", { actorType: "attendee", note: "Receipt re-uploaded" });
+        moved++;
+      } catch (err) {
+        if (!(err instanceof BookingStatusError)) throw err;
+      }
+    }
+
+    if (!moved) {
+      await removeFile(receipt.key);
+      return sendError(res, 409, "Booking status changed meanwhile, please retry");
+    }
+
+    const previousKey = order ? order.receiptImageKey : booking.receiptImageKey;
+    if (order) {
+      await Order.updateOne({ _id: order._id }, { receiptImageKey: receipt.key, status: "Pending", rejectionReason: null });
+    } else {
+      await Booking.updateOne({ _id: booking._id }, { receiptImageKey: receipt.key });
+    }
+    await removeFile(previousKey);
+
+    res.json({ message: "Receipt uploaded, we'll review it shortly" });
+  } catch (error) {
+    await removeFile(receipt?.key);
+    console.error("Receipt Upload Error:", error);
+    sendError(res, 500, "Failed to upload receipt");
+  }
+};
+
+/* ----------------------------------------------------
+   RE-UPLOAD A REJECTED RECEIPT
+---------------------------------------------------- */
+router.post("/booking/receipt", authAttendee, receiptUpload("receiptImage"), (req, res) =>
+  resubmitReceipt(req, res, { booking: req.booking })
+);
+
+/* ----------------------------------------------------
+   HELPER: WHAT A PURCHASER MAY SEE OF THEIR ORDER
+---------------------------------------------------- */
+const purchaserView = (order, bookings) => ({
+  id: order._id,
+  purchaser: order.purchaser,
+  status: order.status,
+  rejectionReason: order.status === "Unpaid" ? order.rejectionReason : null,
+  currency: order.currency,
+  finalAmount: order.finalAmount,
+  event: order.eventId ? { id: order.eventId._id, title: order.eventId.title, address: order.eventId.address } : null,
+  tickets: bookings.map((booking) => ({
+    ticketNumber: booking.ticketNumber,
+    name: `${booking.firstName} ${booking.lastName}`,
+    ticketType: booking.ticketType,
+    status: booking.status,
+  })),
+});
+
+/* ----------------------------------------------------
+   PURCHASER LOGIN (GROUP ORDERS)
+   The purchaser's email may match none of the tickets, so
+   they sign in with any ticket number from the order plus
+   their own email. The session only covers the order.
+---------------------------------------------------- */
+router.post("/order/login", validate({ body: loginBody }), signInLimits, async (req, res) => {
+  try {
+    const { ticketNumber, emailAddress } = req.body;
+
+    const booking = await Booking.findOne({ ticketNumber: String(ticketNumber).trim(), orderId: { $ne: null } });
+    const order = booking
+      ? await Order.findOne({
+          _id: booking.orderId,
+          "purchaser.emailAddress": exactRegex(String(emailAddress).trim()),
+        }).populate("eventId")
+      : null;
+
+    // Same answer whether the ticket or the email is wrong
+    if (!order) return sendError(res, 401, "No order matches these details");
+
+    const bookings = await Booking.find({ orderId: order._id }).sort({ createdAt: 1 });
+    res.json({ token: signPurchaserToken(order), order: purchaserView(order, bookings) });
+  } catch (error) {
+    console.error("Purchaser Login Error:", error);
+    sendError(res, 500, "Login failed");
+  }
+});
+
+/* ----------------------------------------------------
+   VIEW MY ORDER (PURCHASER)
+---------------------------------------------------- */
+router.get("/order", authPurchaser, async (req, res) => {
+  try {
+    const bookings = await Booking.find({ orderId: req.order._id }).sort({ createdAt: 1 });
+    res.json(purchaserView(req.order, bookings));
+  } catch (error) {
+    console.error(error);
+    sendError(res, 500, "Failed to fetch order");
+  }
+});
+
+/* ----------------------------------------------------
+   RE-UPLOAD A REJECTED ORDER RECEIPT (PURCHASER)
+---------------------------------------------------- */
+router.post("/order/receipt", authPurchaser, receiptUpload("receiptImage"), (req, res) =>
+  resubmitReceipt(req, res, { order: req.order })
+);
+
+/* ----------------------------------------------------
+   REQUEST CANCELLATION (APPROVED BY AN ADMIN)
+---------------------------------------------------- */
+router.post("/booking/cancel-request", authAttendee, validate({ body: cancelRequestBody }), async (req, res) => {
+  try {
+    const reason = String(req.body.reason || "").trim().slice(0, 1000);
+
+    const booking = await Booking.findOneAndUpdate(
+      {
+        _id: req.booking._id,
+        status: { $ne: "Cancelled" },
+        checkedInAt: null,
+        "cancellationRequest.requestedAt": null,
+      },
+      {
+        cancellationRequest: { requestedAt: new Date(), reason },
+        $push: { history: { type: "cancellation_request", actorType: "attendee", note: reason } },
+      },
+      { new: true }
+    ).populate("eventId");
+
+    if (!booking) {
+      return sendError(res, 409, "This booking can no longer be cancelled, or a request is already pending");
+    }
+
+    res.json({ message: "Cancellation requested", booking: attendeeView(booking) });
+  } catch (error) {
+    console.error("Cancel Request Error:", error);
+    sendError(res, 500, "Failed to request cancellation");
+  }
+});
+
+/* ----------------------------------------------------
+   TRANSFER TICKET TO ANOTHER PERSON
+---------------------------------------------------- */
+router.post("/booking/transfer", authAttendee, validate({ body: transferBody }), async (req, res) => {
+  try {
+    const { firstName, lastName, emailAddress, contactNumber } = req.body;
+
+    const before = req.booking;
+    const previous = {
+      name: `${before.firstName} ${before.lastName}`,
+      emailAddress: before.emailAddress,
+      ticketNumber: before.ticketNumber,
+    };
+
+    // New ticket number + token version: the old ticket and QR stop working
+    const booking = await Booking.findOneAndUpdate(
+      {
+        _id: before._id,
+        ticketNumber: before.ticketNumber,
+        status: { $ne: "Cancelled" },
+        checkedInAt: null,
+      },
+      {
+        firstName: String(firstName).trim(),
+        lastName: String(lastName).trim(),
+        emailAddress: String(emailAddress).trim(),
+        contactNumber: contactNumber ? String(contactNumber).trim() : before.contactNumber,
+        ticketNumber: await Booking.generateTicketNumber(),
+        $inc: { ticketTokenVersion: 1 },
+        $push: {
+          history: {
+            type: "transfer",
+            actorType: "attendee",
+            details: {
+              from: previous,
+              to: { name: `${firstName} ${lastName}`, emailAddress },
+            },
+          },
+        },
+      },
+      { new: true, runValidators: true }
+    ).populate("eventId");
+
+    if (!booking) {
+      return sendError(res, 409, "Cancelled or checked-in tickets can't be transferred");
+    }
+
+    await enqueueEmail({
+      type: "ticket-transferred",
+      booking,
+      to: previous.emailAddress,
+      data: { previousName: previous.name, newName: `${booking.firstName} ${booking.lastName}` },
+    }).catch((err) => console.error("Email Queue Error:", err));
+
+    if (booking.status === "Paid" && !booking.ticketTokenRevokedAt) {
+      await enqueueEmail({ type: "ticket", booking }).catch((err) =>
+        console.error("Email Queue Error:", err)
+      );
+    }
+
+    res.json({ message: "Ticket transferred", ticketNumber: booking.ticketNumber });
+  } catch (error) {
+    console.error("Ticket Transfer Error:", error);
+    sendError(res, 500, "Failed to transfer ticket");
+  }
+});
+
+export default router;
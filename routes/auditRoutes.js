@@ -0,0 +1,53 @@
+import express from "express";
+import AuditLog from "../models/AuditLog.js";
+import { authorize } from "../middleware/adminMiddleware.js";
+import { parsePagination, paginationMeta, parseDateParam, range } from "../utils/query.js";
+import { sendError } from "../utils/errors.js";
+import { validate } from "../middleware/validate.js";
+import { auditQuery } from "../validators/reportSchemas.js";
+
+const router = express.Router();
+
+// -----------------------------
+// Browse the audit trail
+// Query: targetType, targetId, actor, action, from/to, page, limit
+// -----------------------------
+router.get("/", authorize("audit:read"), validate({ query: auditQuery }), async (req, res) => {
+  const filter = {};
+  let pagination;
+
+  try {
+    const { targetType, targetId, actor, action } = req.query;
+
+    if (targetType) filter.targetType = String(targetType);
+    if (action) filter.action = String(action);
+
+    if (targetId) filter.targetId = targetId;
+    if (actor) filter.actor = actor;
+
+    const dates = range(parseDateParam(req.query.from, "from"), parseDateParam(req.query.to, "to"));
+    if (dates) filter.createdAt = dates;
+
+    pagination = parsePagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+  } catch (err) {
+    return sendError(res, 400, err.message);
+  }
+
+  try {
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate("actor", "name email role")
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.json({ entries, pagination: paginationMeta(pagination, total) });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Failed to fetch audit log");
+  }
+});
+
+export default router;
@@ -2,282 +2,865 @@ import dotenv from "dotenv";
 dotenv.config();
 
 import express from "express";
-import multer from "multer";
+import mongoose from "mongoose";
 import Booking from "../models/Booking.js";
-import nodemailer from "nodemailer";
-import QRCode from "qrcode";
-import { v2 as cloudinary } from "cloudinary";
-import { Readable } from "stream";
+import Event from "../models/Event.js";
+import PromoCode from "../models/PromoCode.js";
+import { authorize } from "../middleware/adminMiddleware.js";
+import {
+  signTicketToken,
+  ticketVerificationURL,
+  decodeTicketToken,
+  tokenMatchesBooking,
+} from "../utils/ticketToken.js";
+import { receiptUpload } from "../middleware/upload.js";
+import { removeFile, getSignedUrl } from "../utils/storage/index.js";
+import { storeReceipt } from "../utils/media.js";
+import EmailJob from "../models/EmailJob.js";
+import { enqueueEmail, SECRET_EMAIL_TYPES } from "../jobs/emailOutbox.js";
+import { offerFreedSeats } from "../jobs/waitlistOffers.js";
+import { emitWebhook, bookingPayload } from "../jobs/webhooks.js";
+import { renderTicketPdf, renderTicketsPdf } from "../utils/ticketPdf.js";
+import {
+  containsRegex,
+  parsePagination,
+  paginationMeta,
+  parseDateParam,
+  range,
+} from "../utils/query.js";
+import { toCsv, toXlsx } from "../utils/export.js";
+import { recordAudit } from "../utils/audit.js";
+import {
+  STATUS_TRANSITIONS,
+  BookingStatusError,
+  changeBookingStatus,
+} from "../utils/bookingStatus.js";
+import { sendError, sendTooManyRequests } from "../utils/errors.js";
+import { duplicateBookingRetryAfter } from "../utils/duplicateBookings.js";
+import { rateLimit, LIMITS, byIp, byEmail } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import {
+  bookingParams,
+  createBody,
+  eventParams,
+  exportQuery,
+  jobParams,
+  listQuery,
+  reviewQueueQuery,
+  sendEmailBody,
+  statusBody,
+  tokenParams,
+} from "../validators/bookingSchemas.js";
 
 const router = express.Router();
 
 /* ----------------------------------------------------
-   CLOUDINARY CONFIG
+   HELPER: BOOKING JSON WITH A SIGNED RECEIPT URL
 ---------------------------------------------------- */
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+const withReceiptUrl = async (booking) => {
+  const data = booking.toJSON();
+  if (booking.receiptImageKey) data.receiptImage = await getSignedUrl(booking.receiptImageKey);
+  return data;
+};
 
 /* ----------------------------------------------------
-   MULTER MEMORY STORAGE
+   CREATE BOOKING
 ---------------------------------------------------- */
-const storage = multer.memoryStorage();
-const upload = multer({ storage });
+router.post(
+  "/booking/create",
+  rateLimit("booking-ip", LIMITS.bookingByIp, byIp),
+  receiptUpload("receiptImage"),
+  validate({ body: createBody }),
+  rateLimit("booking-email", LIMITS.bookingByEmail, byEmail("emailAddress")),
+  async (req, res) => {
+    try {
+      const {
+        firstName,
+        lastName,
+        contactNumber,
+        emailAddress,
+        cityName,
+        ticketType,
+        eventId,
+        sessionId,
+        promoCode,
+      } = req.body;
+
+      if (!req.file) return sendError(res, 400, "A receipt (image or PDF) is required");
+
+      const event = await Event.findById(eventId);
+      if (!event) return sendError(res, 404, "Event not found");
+
+      const closed = event.bookingClosedReason();
+      if (closed) return sendError(res, 400, closed);
+
+      const retryAfter = await duplicateBookingRetryAfter(event._id, emailAddress);
+      if (retryAfter) {
+        return sendTooManyRequests(res, retryAfter, "You have booked this event several times already, please wait", {
+          code: "DUPLICATE_BOOKING",
+        });
+      }
+
+      // Single-session events don't need the client to pick a session
+      const session = sessionId
+        ? event.sessionFor(sessionId)
+        : event.sessions.length === 1 ? event.sessions[0] : null;
+      if (!session) return sendError(res, 400, sessionId ? "Invalid session" : "sessionId is required");
+
+      // Sales close once the session has started
+      if (session.startsAt <= new Date()) {
+        return sendError(res, 400, "This session has already started");
+      }
+
+      const tier = event.tierFor(ticketType);
+      if (!tier) return sendError(res, 400, "Invalid ticket type");
+
+      const salesClosed = tier.salesClosedReason();
+      if (salesClosed) return sendError(res, 400, salesClosed);
+
+      // Work out the price (and discount) before holding anything
+      const originalPrice = tier.price;
+      let promo = null;
+
+      if (promoCode) {
+        promo = await PromoCode.findOne({ code: String(promoCode).toUpperCase().trim() });
+        if (!promo) return sendError(res, 400, "Promo code not found");
+
+        const reason = promo.rejectionReason({ eventId: event._id, ticketType });
+        if (reason) return sendError(res, 400, reason);
+      }
+
+      const discountAmount = promo ? promo.discountFor(originalPrice) : 0;
+
+      // Hold a seat before uploading anything so a full event fails fast
+      const reserved = await Event.reserveSeat(eventId, ticketType, session._id);
+      if (!reserved) {
+        // Clients can offer POST /api/waitlist/join from here
+        return sendError(res, 409, `${ticketType} tickets are sold out for this session`, { soldOut: true });
+      }
+
+      let receipt;
+      let redeemed = false;
+
+      try {
+        if (promo) {
+          redeemed = Boolean(await PromoCode.redeem(promo._id));
+          if (!redeemed) {
+            await Event.releaseSeat(eventId, ticketType, session._id);
+            return sendError(res, 400, "Promo code has been fully used");
+          }
+        }
+
+        // Receipts hold personal payment details, so they are stored privately
+        receipt = await storeReceipt(req.file);
+
+        const newBooking = new Booking({
+          firstName,
+          lastName,
+          contactNumber,
+          emailAddress,
+          cityName,
+          ticketType,
+          eventId,
+          sessionId: session._id,
+          receiptImageKey: receipt.key,
+          promoCode: promo?.code || null,
+          currency: tier.currency,
+          originalPrice,
+          discountAmount,
+          finalAmount: originalPrice - discountAmount,
+        });
+
+        await newBooking.save();
+        await emitWebhook("booking.created", bookingPayload(newBooking));
+
+        await enqueueEmail({ type: "booking-received", booking: newBooking }).catch((err) =>
+          console.error("Email Queue Error:", err)
+        );
+
+        res.status(201).json({ message: "Booking created successfully", booking: newBooking });
+      } catch (error) {
+        // Give back the seat and promo use (and drop the receipt) if the booking never got saved
+        await Event.releaseSeat(eventId, ticketType, session._id);
+        if (redeemed) await PromoCode.unredeem(promo._id);
+        await removeFile(receipt?.key);
+        throw error;
+      }
+    } catch (error) {
+      console.error("Booking Create Error:", error);
+      sendError(res, 500, "Booking failed");
+    }
+  }
+);
 
 /* ----------------------------------------------------
-   HELPER: UPLOAD BUFFER TO CLOUDINARY
+   HELPER: ADMIN BOOKINGS QUERY
+   Query: eventId, status, ticketType, city, from/to (booking date),
+   q (name, email, phone or ticket number), sort=<field>|-<field>
 ---------------------------------------------------- */
-const uploadBufferToCloudinary = (buffer, folder) => {
-  return new Promise((resolve, reject) => {
-    const stream = cloudinary.uploader.upload_stream(
-      { folder },
-      (err, result) => {
-        if (err) return reject(err);
-        resolve(result);
-      }
-    );
-    Readable.from(buffer).pipe(stream);
-  });
+const BOOKING_SORT_FIELDS = ["createdAt", "lastName", "status", "ticketType", "finalAmount", "cityName"];
+
+const buildBookingFilter = (query) => {
+  const filter = {};
+
+  if (query.eventId) filter.eventId = query.eventId;
+  if (query.status) filter.status = { $in: String(query.status).split(",") };
+
+  if (query.ticketType) filter.ticketType = String(query.ticketType);
+  if (query.city) filter.cityName = containsRegex(query.city);
+
+  const dates = range(parseDateParam(query.from, "from"), parseDateParam(query.to, "to"));
+  if (dates) filter.createdAt = dates;
+
+  if (query.q) {
+    const text = containsRegex(String(query.q).trim());
+    filter.$or = [
+      { firstName: text },
+      { lastName: text },
+      { emailAddress: text },
+      { contactNumber: text },
+      { ticketNumber: text },
+    ];
+
+    // "Sara Waseem" should find first + last name together
+    const [first, ...rest] = String(query.q).trim().split(/\s+/);
+    if (rest.length) {
+      filter.$or.push({ firstName: containsRegex(first), lastName: containsRegex(rest.join(" ")) });
+    }
+  }
+
+  return filter;
+};
+
+const parseBookingSort = (value = "-createdAt") => {
+  const field = value.replace(/^-/, "");
+  if (!BOOKING_SORT_FIELDS.includes(field))
+    throw new Error(`sort must be one of ${BOOKING_SORT_FIELDS.join(", ")} (prefix - for descending)`);
+  return { [field]: value.startsWith("-") ? -1 : 1, _id: 1 };
 };
 
 /* ----------------------------------------------------
-   CREATE BOOKING
+   GET ALL BOOKINGS (FILTERED, PAGINATED)
 ---------------------------------------------------- */
-router.post("/booking/create", upload.single("receiptImage"), async (req, res) => {
-  try {
-    const {
-      firstName,
-      lastName,
-      contactNumber,
-      emailAddress,
-      cityName,
-      ticketType,
-      eventId,
-    } = req.body;
-
-    if (!req.file) return res.status(400).json({ message: "Receipt image is required" });
-    if (!eventId) return res.status(400).json({ message: "eventId is required" });
-
-    const uploadResult = await uploadBufferToCloudinary(req.file.buffer, "receipts");
-
-    const ticketNumber = Math.floor(100000 + Math.random() * 900000);
-
-    const newBooking = new Booking({
-      firstName,
-      lastName,
-      contactNumber,
-      emailAddress,
-      cityName,
-      ticketType,
-      eventId,
-      ticketNumber,
-      receiptImage: uploadResult.secure_url,
-    });
+router.get("/booking", authorize("bookings:read"), validate({ query: listQuery }), async (req, res) => {
+  let filter;
+  let sort;
+  let pagination;
 
-    await newBooking.save();
+  try {
+    filter = buildBookingFilter(req.query);
+    sort = parseBookingSort(req.query.sort);
+    pagination = parsePagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+  } catch (error) {
+    return sendError(res, 400, error.message);
+  }
 
-    res.status(201).json({ message: "Booking created successfully", booking: newBooking });
+  try {
+    const [bookings, total] = await Promise.all([
+      Booking.find(filter).populate("eventId").sort(sort).skip(pagination.skip).limit(pagination.limit),
+      Booking.countDocuments(filter),
+    ]);
+
+    res.json({
+      bookings: await Promise.all(bookings.map(withReceiptUrl)),
+      pagination: paginationMeta(pagination, total),
+    });
   } catch (error) {
-    console.error("Booking Create Error:", error);
-    res.status(500).json({ message: "Booking failed", error });
+    console.error(error);
+    sendError(res, 500, "Failed to fetch bookings");
   }
 });
 
 /* ----------------------------------------------------
-   GET ALL BOOKINGS
+   EXPORT BOOKINGS (CSV / XLSX), SAME FILTERS AS THE LIST
 ---------------------------------------------------- */
-router.get("/booking", async (req, res) => {
+const EXPORT_LIMIT = 50000;
+
+// Money is stored in minor units; exports show the normal amount
+const money = (amount) => (amount == null ? null : amount / 100);
+
+const sessionLabel = (booking) => {
+  const session = booking.bookedSession();
+  return session ? [session.name, session.date, session.time].filter(Boolean).join(" ") : null;
+};
+
+const BOOKING_EXPORT_COLUMNS = [
+  { header: "Ticket Number", value: (b) => b.ticketNumber, width: 14 },
+  { header: "First Name", value: (b) => b.firstName },
+  { header: "Last Name", value: (b) => b.lastName },
+  { header: "Email", value: (b) => b.emailAddress, width: 28 },
+  { header: "Phone", value: (b) => b.contactNumber },
+  { header: "City", value: (b) => b.cityName },
+  { header: "Event", value: (b) => b.eventId?.title, width: 28 },
+  { header: "Session", value: (b) => sessionLabel(b), width: 30 },
+  { header: "Ticket Type", value: (b) => b.ticketType },
+  { header: "Status", value: (b) => b.status, width: 12 },
+  { header: "Promo Code", value: (b) => b.promoCode },
+  { header: "Currency", value: (b) => b.currency, width: 10 },
+  { header: "Original Price", value: (b) => money(b.originalPrice) },
+  { header: "Discount", value: (b) => money(b.discountAmount) },
+  { header: "Final Amount", value: (b) => money(b.finalAmount) },
+  { header: "Checked In At", value: (b) => b.checkedInAt, width: 22 },
+  { header: "Booked At", value: (b) => b.createdAt, width: 22 },
+];
+
+router.get("/booking/export", authorize("bookings:read"), validate({ query: exportQuery }), async (req, res) => {
+  let filter;
+  let sort;
+  const format = req.query.format || "csv";
+
   try {
-    const bookings = await Booking.find().populate("eventId").sort({ createdAt: -1 });
-    res.json(bookings);
+    if (!["csv", "xlsx"].includes(format)) throw new Error("format must be csv or xlsx");
+    filter = buildBookingFilter(req.query);
+    sort = parseBookingSort(req.query.sort);
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Failed to fetch bookings" });
+    return sendError(res, 400, error.message);
+  }
+
+  try {
+    const total = await Booking.countDocuments(filter);
+    if (total > EXPORT_LIMIT) {
+      return sendError(res, 400, `Too many bookings (${total}), narrow the filters to ${EXPORT_LIMIT} or fewer`);
+    }
+
+    const bookings = await Booking.find(filter).populate("eventId").sort(sort);
+    const filename = `bookings-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    if (format === "xlsx") {
+      const buffer = await toXlsx(BOOKING_EXPORT_COLUMNS, bookings, "Bookings");
+      res.set({
+        "Content-Type": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        "Content-Disposition": `attachment; filename="${filename}"`,
+      });
+      return res.send(buffer);
+    }
+
+    res.set({
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    });
+    res.send(toCsv(BOOKING_EXPORT_COLUMNS, bookings));
+  } catch (error) {
+    console.error("Booking Export Error:", error);
+    sendError(res, 500, "Failed to export bookings");
   }
 });
 
+/* ----------------------------------------------------
+   REVIEWER QUEUE: PENDING RECEIPTS, OLDEST FIRST
+   Query: eventId, page, limit
+---------------------------------------------------- */
+router.get(
+  "/booking/review-queue",
+  authorize("bookings:status"),
+  validate({ query: reviewQueueQuery }),
+  async (req, res) => {
+    const filter = { status: "Pending" };
+    let pagination;
+
+    try {
+      if (req.query.eventId) filter.eventId = req.query.eventId;
+      pagination = parsePagination(req.query);
+    } catch (err) {
+      return sendError(res, 400, err.message);
+    }
+
+    try {
+      const [bookings, total] = await Promise.all([
+        Booking.find(filter)
+          .populate("eventId", "title")
+          .populate("orderId", "receiptImageKey finalAmount currency")
+          .sort({ createdAt: 1, _id: 1 })
+          .skip(pagination.skip)
+          .limit(pagination.limit),
+        Booking.countDocuments(filter),
+      ]);
+
+      const queue = await Promise.all(
+        bookings.map(async (booking) => {
+          const order = booking.orderId;
+          const receiptKey = booking.receiptImageKey || order?.receiptImageKey;
+
+          return {
+            id: booking._id,
+            ticketNumber: booking.ticketNumber,
+            attendeeName: `${booking.firstName} ${booking.lastName}`,
+            emailAddress: booking.emailAddress,
+            event: booking.eventId ? { id: booking.eventId._id, title: booking.eventId.title } : null,
+            ticketType: booking.ticketType,
+            expectedAmount: booking.finalAmount,
+            currency: booking.currency,
+            // Tickets in a group order are paid for together
+            order: order ? { id: order._id, expectedAmount: order.finalAmount, currency: order.currency } : null,
+            receiptImage: receiptKey ? await getSignedUrl(receiptKey) : booking.receiptImage,
+            submittedAt: booking.createdAt,
+            waitingSince: booking.statusHistory().at(-1)?.at || booking.createdAt,
+          };
+        })
+      );
+
+      res.json({ bookings: queue, pagination: paginationMeta(pagination, total) });
+    } catch (error) {
+      console.error(error);
+      sendError(res, 500, "Failed to fetch review queue");
+    }
+  }
+);
+
 /* ----------------------------------------------------
    GET SINGLE BOOKING
 ---------------------------------------------------- */
-router.get("/booking/:id", async (req, res) => {
+router.get("/booking/:id", authorize("bookings:read"), validate({ params: bookingParams }), async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id).populate("eventId");
-    if (!booking) return res.status(404).json({ message: "Booking not found" });
-    res.json(booking);
+    if (!booking) return sendError(res, 404, "Booking not found");
+    res.json({ ...(await withReceiptUrl(booking)), statusHistory: booking.statusHistory() });
   } catch (error) {
     console.error(error);
-    res.status(500).json({ message: "Failed to fetch booking" });
+    sendError(res, 500, "Failed to fetch booking");
   }
 });
 
 /* ----------------------------------------------------
    DELETE BOOKING
 ---------------------------------------------------- */
-router.delete("/booking/:id", async (req, res) => {
+router.delete("/booking/:id", authorize("bookings:delete"), validate({ params: bookingParams }), async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id);
-    if (!booking) return res.status(404).json({ message: "Booking not found" });
+    if (!booking) return sendError(res, 404, "Booking not found");
 
     await booking.deleteOne();
+    await recordAudit(req, { action: "booking.delete", targetType: "Booking", before: booking });
+    await removeFile(booking.receiptImageKey);
+
+    // A deleted booking no longer holds a seat
+    if (booking.status !== "Cancelled") {
+      await Event.releaseSeat(booking.eventId, booking.ticketType, booking.sessionId);
+      await offerFreedSeats(booking.eventId).catch((err) => console.error("Waitlist Error:", err));
+    }
+
     res.json({ message: "Booking deleted successfully" });
   } catch (error) {
     console.error(error);
-    res.status(500).json({ message: "Failed to delete booking" });
+    sendError(res, 500, "Failed to delete booking");
   }
 });
 
 /* ----------------------------------------------------
-   UPDATE BOOKING STATUS
+   UPDATE BOOKING STATUS (PAYMENT REVIEW)
+   Body: status, reason (required when rejecting), note
 ---------------------------------------------------- */
-router.put("/booking/update-status/:id", async (req, res) => {
-  try {
-    const { status } = req.body;
-    const validStatuses = ["Pending", "Paid", "Unpaid", "Cancelled"];
-    if (!validStatuses.includes(status)) return res.status(400).json({ message: "Invalid status value" });
+router.put(
+  "/booking/update-status/:id",
+  authorize("bookings:status"),
+  validate({ params: bookingParams, body: statusBody }),
+  async (req, res) => {
+    try {
+      const { status, reason, note } = req.body;
+
+      const booking = await Booking.findById(req.params.id);
+      if (!booking) return sendError(res, 404, "Booking not found");
+
+      let updated;
+      try {
+        updated = await changeBookingStatus(booking, status, {
+          actorId: req.admin.id,
+          reason: reason ? String(reason).trim() : null,
+          note: note ? String(note).trim() : undefined,
+        });
+      } catch (err) {
+        if (!(err instanceof BookingStatusError)) throw err;
+        return sendError(res, err.statusCode, err.message, {
+          soldOut: err.soldOut || undefined,
+          allowed: STATUS_TRANSITIONS[booking.status],
+        });
+      }
+
+      await recordAudit(req, {
+        action: status === "Cancelled" ? "booking.cancel" : "booking.status_change",
+        targetType: "Booking",
+        before: booking,
+        after: updated,
+      });
+
+      // Payment confirmed: send the ticket automatically
+      if (status === "Paid" && !updated.ticketTokenRevokedAt) {
+        await enqueueEmail({ type: "ticket", booking: updated }).catch((err) =>
+          console.error("Email Queue Error:", err)
+        );
+      }
 
-    const updated = await Booking.findByIdAndUpdate(req.params.id, { status }, { new: true });
-    if (!updated) return res.status(404).json({ message: "Booking not found" });
+      // Receipt rejected: tell the attendee why and how to fix it
+      if (status === "Unpaid") {
+        await enqueueEmail({ type: "payment-rejected", booking: updated }).catch((err) =>
+          console.error("Email Queue Error:", err)
+        );
+      }
 
-    res.json({ message: "Status updated successfully", booking: updated });
-  } catch (error) {
-    console.error("Status Update Error:", error);
-    res.status(500).json({ message: "Failed to update status", error });
+      res.json({ message: "Status updated successfully", booking: updated });
+    } catch (error) {
+      console.error("Status Update Error:", error);
+      sendError(res, 500, "Failed to update status");
+    }
   }
-});
+);
+
+/* ----------------------------------------------------
+   HELPER: RESOLVE BOOKING FROM SIGNED QR TOKEN
+---------------------------------------------------- */
+const findBookingByTicketToken = async (token) => {
+  const payload = decodeTicketToken(token);
+  if (!payload?.bid?.match(/^[0-9a-fA-F]{24}$/)) return null;
+
+  const booking = await Booking.findById(payload.bid)
+    .populate("eventId")
+    .populate("checkedInBy", "name");
+
+  if (!booking || !tokenMatchesBooking(payload, booking)) return null;
+  return booking;
+};
 
 /* ----------------------------------------------------
    VERIFY TICKET BY QR
 ---------------------------------------------------- */
-router.get("/booking/verify/:ticketNumber", async (req, res) => {
+router.get("/booking/verify/:token", validate({ params: tokenParams }), async (req, res) => {
   try {
-    const ticketNumber = req.params.ticketNumber;
-    const booking = await Booking.findOne({ ticketNumber }).populate("eventId");
+    const booking = await findBookingByTicketToken(req.params.token);
 
     if (!booking) {
-      return res.status(404).json({ valid: false, message: "Invalid ticket. No matching record found." });
+      return sendError(res, 404, "Invalid ticket. No matching record found.", { valid: false });
+    }
+
+    const ticket = booking.toTicketSummary();
+
+    if (booking.checkedInAt) {
+      return res.json({ valid: false, message: "Ticket has already been used", ticket });
     }
 
-    res.json({ valid: true, message: "Ticket is valid", booking });
+    if (booking.status !== "Paid") {
+      return res.json({ valid: false, message: `Ticket status is ${booking.status}`, ticket });
+    }
+
+    res.json({ valid: true, message: "Ticket is valid", ticket });
   } catch (error) {
     console.error("QR Verification Error:", error);
-    res.status(500).json({ message: "Verification failed", error });
+    sendError(res, 500, "Verification failed");
   }
 });
 
 /* ----------------------------------------------------
-   SEND EMAIL WITH TICKET + INLINE QR CODE (CID)
+   CHECK IN TICKET AT THE GATE (SINGLE USE)
 ---------------------------------------------------- */
-router.post("/booking/send-email/:id", async (req, res) => {
-  try {
-    const booking = await Booking.findById(req.params.id).populate("eventId");
-    if (!booking) return res.status(404).json({ message: "Booking not found" });
+router.post(
+  "/booking/check-in/:token",
+  authorize("tickets:checkin"),
+  validate({ params: tokenParams }),
+  async (req, res) => {
+    try {
+      const booking = await findBookingByTicketToken(req.params.token);
+
+      if (!booking) {
+        return sendError(res, 404, "Invalid ticket. No matching record found.", { valid: false });
+      }
 
-    const { subject } = req.body;
+      // Atomically claim the ticket so two scanners can't both admit it
+      const checkedIn = await Booking.findOneAndUpdate(
+        {
+          _id: booking._id,
+          ticketTokenVersion: booking.ticketTokenVersion,
+          ticketTokenRevokedAt: null,
+          status: "Paid",
+          checkedInAt: null,
+        },
+        { checkedInAt: new Date(), checkedInBy: req.admin.id },
+        { new: true }
+      )
+        .populate("eventId")
+        .populate("checkedInBy", "name");
+
+      if (checkedIn) {
+        await recordAudit(req, { action: "booking.check_in", targetType: "Booking", before: booking, after: checkedIn });
+        await emitWebhook("booking.checked_in", bookingPayload(checkedIn));
+        return res.json({ valid: true, message: "Check-in successful", ticket: checkedIn.toTicketSummary() });
+      }
 
-    // Generate QR code as a Buffer (NOT Base64)
-    const verificationURL = `${process.env.CLIENT_URI}/verify-ticket/${booking.ticketNumber}`;
-    const qrBuffer = await QRCode.toBuffer(verificationURL, {
-      margin: 2,
-      scale: 6,
-    });
+      // Work out why the ticket was refused
+      const current = await Booking.findById(booking._id)
+        .populate("eventId")
+        .populate("checkedInBy", "name");
 
-    /* ----------------------------------------------------
-       EMAIL TEMPLATE USING CID INLINE IMAGE
-    ---------------------------------------------------- */
-    const emailHTML = `
-<!DOCTYPE html>
-<html>
-<body style="margin:0; padding:0; background:#f4f4f4; font-family:Arial, sans-serif;">
-
-<table width="100%" cellpadding="0" cellspacing="0" style="padding:20px 0;">
-<tr><td align="center">
-
-<table width="600" cellpadding="0" cellspacing="0" style="background:#ffffff; border-radius:6px; overflow:hidden;">
-
-  <tr>
-    <td style="background:#222831; text-align:center; padding:24px;">
-      <h2 style="color:#fff; margin:0; font-size:22px;">${booking.eventId?.title}</h2>
-      <p style="color:#ccc; margin:6px 0 0;">Your Entry Pass</p>
-    </td>
-  </tr>
-
-  <tr>
-    <td style="padding:20px;">
-      <table width="100%" cellpadding="0" cellspacing="0" style="border:1px solid #e0e0e0; border-radius:6px;">
-        <tr valign="top">
-
-          <td style="padding:16px; width:65%; font-size:14px;">
-            <p><strong>Ticket No:</strong> ${booking.ticketNumber}</p>
-            <p><strong>Name:</strong> ${booking.firstName} ${booking.lastName}</p>
-            <p><strong>Category:</strong> ${booking.ticketType}</p>
-            <p><strong>City:</strong> ${booking.cityName}</p>
-            <p><strong>Date:</strong> ${booking.eventId?.date}</p>
-            <p><strong>Time:</strong> ${booking.eventId?.eventTime}</p>
-            <p><strong>Location:</strong> ${booking.eventId?.address}</p>
-          </td>
-
-          <td style="padding:16px; text-align:center; width:35%;">
-            <p style="font-size:11px; margin-bottom:6px; color:#666;">Scan QR to verify</p>
-
-            <!-- INLINE ATTACHMENT QR -->
-            <img src="cid:qrCodeImg" width="140" height="140" alt="QR Code" style="display:block;">
-          </td>
-
-        </tr>
-      </table>
-
-      <p style="margin-top:16px; font-size:12px; color:#666; text-align:center;">
-        Please show this ticket at the entry gate. Valid for one person only.
-      </p>
-
-    </td>
-  </tr>
-
-  <tr>
-    <td style="background:#f7f7f7; text-align:center; padding:12px; color:#777; font-size:12px;">
-      Thank you for your purchase!
-    </td>
-  </tr>
-
-</table>
-
-</td></tr>
-</table>
-
-</body>
-</html>
-`;
-
-    /* ----------------------------------------------------
-       SEND EMAIL (WITH QR AS INLINE ATTACHMENT)
-    ---------------------------------------------------- */
-    const transporter = nodemailer.createTransport({
-      service: "gmail",
-      auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS },
-    });
+      if (!current || current.ticketTokenRevokedAt || current.ticketTokenVersion !== booking.ticketTokenVersion) {
+        return sendError(res, 404, "Invalid ticket. No matching record found.", { valid: false });
+      }
+
+      if (current.checkedInAt) {
+        return sendError(res, 409, "Ticket has already been used", {
+          valid: false,
+          checkedInAt: current.checkedInAt,
+          checkedInBy: current.checkedInBy?.name || null,
+          ticket: current.toTicketSummary(),
+        });
+      }
+
+      sendError(res, 409, `Ticket cannot be checked in while its status is ${current.status}`, {
+        valid: false,
+        status: current.status,
+        ticket: current.toTicketSummary(),
+      });
+    } catch (error) {
+      console.error("Check-in Error:", error);
+      sendError(res, 500, "Check-in failed");
+    }
+  }
+);
 
-    await transporter.sendMail({
-      from: `"Event Ticket" <${process.env.EMAIL_USER}>`,
-      to: booking.emailAddress,
-      subject: subject || "Your Ticket",
-      html: emailHTML,
-      attachments: [
+/* ----------------------------------------------------
+   REVOKE TICKET QR TOKEN
+---------------------------------------------------- */
+router.post(
+  "/booking/:id/revoke-token",
+  authorize("tickets:manage"),
+  validate({ params: bookingParams }),
+  async (req, res) => {
+    try {
+      const before = await Booking.findById(req.params.id);
+      if (!before) return sendError(res, 404, "Booking not found");
+
+      const booking = await Booking.findByIdAndUpdate(
+        before._id,
+        { $inc: { ticketTokenVersion: 1 }, ticketTokenRevokedAt: new Date() },
+        { new: true }
+      );
+      if (!booking) return sendError(res, 404, "Booking not found");
+
+      await recordAudit(req, { action: "booking.token_revoke", targetType: "Booking", before, after: booking });
+
+      res.json({ message: "Ticket token revoked", ticketTokenRevokedAt: booking.ticketTokenRevokedAt });
+    } catch (error) {
+      console.error("Token Revoke Error:", error);
+      sendError(res, 500, "Failed to revoke ticket token");
+    }
+  }
+);
+
+/* ----------------------------------------------------
+   REISSUE TICKET QR TOKEN
+---------------------------------------------------- */
+router.post(
+  "/booking/:id/reissue-token",
+  authorize("tickets:manage"),
+  validate({ params: bookingParams }),
+  async (req, res) => {
+    try {
+      const before = await Booking.findById(req.params.id);
+      if (!before) return sendError(res, 404, "Booking not found");
+
+      const booking = await Booking.findByIdAndUpdate(
+        before._id,
+        { $inc: { ticketTokenVersion: 1 }, ticketTokenRevokedAt: null },
+        { new: true }
+      );
+      if (!booking) return sendError(res, 404, "Booking not found");
+
+      await recordAudit(req, { action: "booking.token_reissue", targetType: "Booking", before, after: booking });
+
+      res.json({
+        message: "Ticket token reissued",
+        token: signTicketToken(booking),
+        verificationURL: ticketVerificationURL(booking),
+      });
+    } catch (error) {
+      console.error("Token Reissue Error:", error);
+      sendError(res, 500, "Failed to reissue ticket token");
+    }
+  }
+);
+
+/* ----------------------------------------------------
+   LIVE CHECK-IN COUNT FOR AN EVENT
+---------------------------------------------------- */
+router.get(
+  "/booking/check-in/stats/:eventId",
+  authorize("tickets:checkin"),
+  validate({ params: eventParams }),
+  async (req, res) => {
+    try {
+      const { eventId } = req.params;
+
+      const rows = await Booking.aggregate([
+        { $match: { eventId: new mongoose.Types.ObjectId(eventId), status: "Paid" } },
         {
-          filename: "qrcode.png",
-          content: qrBuffer,
-          cid: "qrCodeImg", // MUST match img src="cid:qrCodeImg"
+          $group: {
+            _id: "$ticketType",
+            expected: { $sum: 1 },
+            checkedIn: { $sum: { $cond: [{ $ifNull: ["$checkedInAt", false] }, 1, 0] } },
+          },
         },
-      ],
-    });
+      ]);
+
+      const byTicketType = {};
+      let expected = 0;
+      let checkedIn = 0;
+
+      for (const row of rows) {
+        byTicketType[row._id] = { expected: row.expected, checkedIn: row.checkedIn };
+        expected += row.expected;
+        checkedIn += row.checkedIn;
+      }
+
+      res.json({ eventId, expected, checkedIn, remaining: expected - checkedIn, byTicketType });
+    } catch (error) {
+      console.error("Check-in Stats Error:", error);
+      sendError(res, 500, "Failed to fetch check-in stats");
+    }
+  }
+);
+
+/* ----------------------------------------------------
+   HELPER: SEND A PDF RESPONSE
+---------------------------------------------------- */
+const sendPdf = (res, buffer, filename, disposition = "inline") => {
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `${disposition}; filename="${filename}"`,
+    "Content-Length": buffer.length,
+  });
+  res.send(buffer);
+};
+
+/* ----------------------------------------------------
+   PRINTABLE TICKET PDF (ATTENDEE, VIA SIGNED QR TOKEN)
+---------------------------------------------------- */
+router.get("/booking/ticket/:token/pdf", validate({ params: tokenParams }), async (req, res) => {
+  try {
+    const booking = await findBookingByTicketToken(req.params.token);
+    if (!booking) return sendError(res, 404, "Ticket not found");
 
-    res.json({ message: "Email sent successfully" });
+    if (booking.status !== "Paid") {
+      return sendError(res, 409, `Ticket status is ${booking.status}`);
+    }
 
+    sendPdf(res, await renderTicketPdf(booking), `ticket-${booking.ticketNumber}.pdf`);
   } catch (error) {
-    console.error("Email Error:", error);
-    res.status(500).json({ message: "Email sending failed", error });
+    console.error("Ticket PDF Error:", error);
+    sendError(res, 500, "Failed to render ticket");
   }
 });
 
+/* ----------------------------------------------------
+   PRINTABLE TICKET PDF (ADMIN)
+---------------------------------------------------- */
+router.get(
+  "/booking/:id/ticket.pdf",
+  authorize("bookings:read"),
+  validate({ params: bookingParams }),
+  async (req, res) => {
+    try {
+      const booking = await Booking.findById(req.params.id).populate("eventId");
+      if (!booking) return sendError(res, 404, "Booking not found");
+
+      sendPdf(res, await renderTicketPdf(booking), `ticket-${booking.ticketNumber}.pdf`);
+    } catch (error) {
+      console.error("Ticket PDF Error:", error);
+      sendError(res, 500, "Failed to render ticket");
+    }
+  }
+);
+
+/* ----------------------------------------------------
+   ALL PAID TICKETS OF AN EVENT AS ONE PDF (ON-SITE PRINTING)
+---------------------------------------------------- */
+router.get(
+  "/booking/event/:eventId/tickets.pdf",
+  authorize("tickets:manage"),
+  validate({ params: eventParams }),
+  async (req, res) => {
+    try {
+      const { eventId } = req.params;
+
+      const event = await Event.findById(eventId);
+      if (!event) return sendError(res, 404, "Event not found");
+
+      const bookings = await Booking.find({ eventId, status: "Paid", ticketTokenRevokedAt: null })
+        .populate("eventId")
+        .sort({ lastName: 1, firstName: 1 });
+
+      const pdf = await renderTicketsPdf(bookings, `${event.title} - Tickets`);
+      sendPdf(res, pdf, `tickets-${event._id}.pdf`, "attachment");
+    } catch (error) {
+      console.error("Event Tickets PDF Error:", error);
+      sendError(res, 500, "Failed to render tickets");
+    }
+  }
+);
+
+/* ----------------------------------------------------
+   QUEUE TICKET EMAIL (SENT BY THE EMAIL OUTBOX WORKER)
+---------------------------------------------------- */
+router.post(
+  "/booking/send-email/:id",
+  authorize("bookings:email"),
+  validate({ params: bookingParams, body: sendEmailBody }),
+  async (req, res) => {
+    try {
+      const booking = await Booking.findById(req.params.id);
+      if (!booking) return sendError(res, 404, "Booking not found");
+
+      if (booking.ticketTokenRevokedAt) {
+        return sendError(res, 409, "Ticket token is revoked, reissue it first");
+      }
+
+      const { subject } = req.body;
+      const job = await enqueueEmail({ type: "ticket", booking, subject });
+
+      res.status(202).json({ message: "Email queued", job });
+    } catch (error) {
+      console.error("Email Error:", error);
+      sendError(res, 500, "Email sending failed");
+    }
+  }
+);
+
+/* ----------------------------------------------------
+   EMAIL DELIVERY STATUS FOR A BOOKING
+---------------------------------------------------- */
+router.get("/booking/:id/emails", authorize("bookings:read"), validate({ params: bookingParams }), async (req, res) => {
+  try {
+    // data can hold one-time codes, so it never leaves the server
+    const jobs = await EmailJob.find({ bookingId: req.params.id }).select("-data").sort({ createdAt: -1 });
+    res.json(jobs);
+  } catch (error) {
+    console.error(error);
+    sendError(res, 500, "Failed to fetch email status");
+  }
+});
+
+/* ----------------------------------------------------
+   RETRY A FAILED EMAIL
+---------------------------------------------------- */
+router.post(
+  "/booking/emails/:jobId/retry",
+  authorize("bookings:email"),
+  validate({ params: jobParams }),
+  async (req, res) => {
+    try {
+      const job = await EmailJob.findOneAndUpdate(
+        { _id: req.params.jobId, status: "failed", type: { $nin: SECRET_EMAIL_TYPES } },
+        { status: "queued", attempts: 0, nextAttemptAt: new Date(), lastError: null },
+        { new: true, projection: { data: 0 } }
+      );
+      if (!job) {
+        if (await EmailJob.exists({ _id: req.params.jobId, status: "failed", type: { $in: SECRET_EMAIL_TYPES } }))
+          return sendError(res, 409, "This email held a one-time code or link, ask for a new one instead");
+        return sendError(res, 404, "Failed email not found");
+      }
+
+      res.json({ message: "Email re-queued", job });
+    } catch (error) {
+      console.error(error);
+      sendError(res, 500, "Failed to retry email");
+    }
+  }
+);
+
 export default router;
@@ -1,38 +1,162 @@
 import express from "express";
-import multer from "multer";
 import Event from "../models/Event.js";
-import { authAdmin } from "../middleware/adminMiddleware.js";
-import { v2 as cloudinary } from "cloudinary";
-import streamifier from "streamifier";
+import Booking from "../models/Booking.js";
+import PromoCode from "../models/PromoCode.js";
+import WaitlistEntry from "../models/WaitlistEntry.js";
+import EmailJob from "../models/EmailJob.js";
+import { authorize, identifyAdmin } from "../middleware/adminMiddleware.js";
+import { eventMediaUpload } from "../middleware/upload.js";
+import { removeFile } from "../utils/storage/index.js";
+import { eventImageKeys, storeEventImage, storeSponsorLogo } from "../utils/media.js";
+import { recordAudit, snapshot } from "../utils/audit.js";
+import { offerFreedSeats } from "../jobs/waitlistOffers.js";
+import { emitWebhook, eventPayload } from "../jobs/webhooks.js";
+import { EVENT_STATUS_TRANSITIONS, EventStatusError, changeEventStatus } from "../utils/eventStatus.js";
+import { reminderOffsets, reminderKeyPrefix, followUpKeyPrefix, followUpDueAt } from "../jobs/reminders.js";
+import { eventReminderEmail, eventFollowUpEmail } from "../utils/emailTemplates.js";
+import { DEFAULT_TIME_ZONE, parseEventDateTime } from "../utils/dateTime.js";
+import {
+  containsRegex,
+  escapeRegex,
+  parsePagination,
+  paginationMeta,
+  parseDateParam,
+  parseIntegerParam,
+  range,
+} from "../utils/query.js";
+import { sendError } from "../utils/errors.js";
+import { validate } from "../middleware/validate.js";
+import {
+  createBody,
+  eventParams,
+  listQuery,
+  reminderPreviewQuery,
+  remindersBody,
+  statusBody,
+  updateBody,
+} from "../validators/eventSchemas.js";
 
 const router = express.Router();
 
-// -----------------------------
-// CLOUDINARY CONFIG
-// -----------------------------
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+// Image uploads accepted on create and update
+const MEDIA_FIELDS = [
+  { name: "imageUrl", maxCount: 1 },
+  { name: "sponsorLogos", maxCount: 10 },
+];
 
-// -----------------------------
-// Multer setup (memory storage for Cloudinary)
-// -----------------------------
-const storage = multer.memoryStorage();
-const upload = multer({ storage });
-
-// Helper function to upload buffer to Cloudinary
-const uploadToCloudinary = (buffer, folder) => {
-  return new Promise((resolve, reject) => {
-    const stream = cloudinary.uploader.upload_stream(
-      { folder },
-      (error, result) => {
-        if (error) reject(error);
-        else resolve(result.secure_url);
+// Helper to read ticket tiers from the form body.
+// Multipart forms send them as a JSON string:
+// [{ "name": "VIP", "price": 500000, "currency": "PKR", "capacity": 50, ... }]
+const parseTicketTiers = (value) => {
+  if (value === undefined) return undefined;
+
+  let tiers = value;
+  if (typeof value === "string") {
+    try {
+      tiers = JSON.parse(value);
+    } catch (err) {
+      throw new Error("ticketTiers must be valid JSON");
+    }
+  }
+  if (!Array.isArray(tiers)) throw new Error("ticketTiers must be an array");
+
+  return tiers.map((tier) => {
+    if (!tier?.name) throw new Error("Every ticket tier needs a name");
+
+    const price = Number(tier.price);
+    if (!Number.isInteger(price) || price < 0)
+      throw new Error(`Price of "${tier.name}" must be a non-negative integer in minor units`);
+
+    const capacity = tier.capacity === undefined || tier.capacity === null || tier.capacity === ""
+      ? null
+      : Number(tier.capacity);
+    if (capacity !== null && (!Number.isInteger(capacity) || capacity < 0))
+      throw new Error(`Capacity of "${tier.name}" must be a non-negative integer`);
+
+    return {
+      name: String(tier.name).trim(),
+      description: tier.description,
+      price,
+      currency: tier.currency,
+      salesStart: tier.salesStart || null,
+      salesEnd: tier.salesEnd || null,
+      capacity,
+    };
+  });
+};
+
+// Keeps sold counts of tiers that survive an update and refuses to
+// drop a tier that still has tickets sold.
+const mergeTicketTiers = (existing, incoming) => {
+  for (const tier of existing) {
+    if (tier.sold > 0 && !incoming.some((t) => t.name === tier.name))
+      throw new Error(`Cannot remove "${tier.name}" because tickets have been sold`);
+  }
+
+  return incoming.map((tier) => {
+    const current = existing.find((t) => t.name === tier.name);
+    return current ? { ...tier, _id: current._id, sold: current.sold } : tier;
+  });
+};
+
+// Helper to read sessions from the form body. Either a JSON "sessions" array
+// ([{ "name": "Day 1", "startsAt": "2026-03-14T19:00", "endsAt": "...", "capacity": 300 }])
+// or plain startsAt/endsAt fields for a single-session event.
+// Times without an offset are read in the event's time zone.
+const parseSessions = (body, timeZone) => {
+  let sessions;
+
+  if (body.sessions !== undefined) {
+    sessions = body.sessions;
+    if (typeof sessions === "string") {
+      try {
+        sessions = JSON.parse(sessions);
+      } catch (err) {
+        throw new Error("sessions must be valid JSON");
       }
-    );
-    streamifier.createReadStream(buffer).pipe(stream);
+    }
+    if (!Array.isArray(sessions)) throw new Error("sessions must be an array");
+  } else if (body.startsAt !== undefined) {
+    sessions = [{ startsAt: body.startsAt, endsAt: body.endsAt, capacity: body.capacity }];
+  } else {
+    return undefined;
+  }
+
+  return sessions.map((session) => {
+    const startsAt = parseEventDateTime(session.startsAt, timeZone);
+    if (!startsAt) throw new Error("Every session needs a startsAt date-time");
+
+    const capacity = session.capacity === undefined || session.capacity === null || session.capacity === ""
+      ? null
+      : Number(session.capacity);
+    if (capacity !== null && (!Number.isInteger(capacity) || capacity < 0))
+      throw new Error("Session capacity must be a non-negative integer");
+
+    return {
+      ...(session._id ? { _id: session._id } : {}),
+      name: session.name,
+      startsAt,
+      endsAt: parseEventDateTime(session.endsAt, timeZone),
+      capacity,
+    };
+  });
+};
+
+// Same rules as tiers: keep sold counts and never drop a session with bookings.
+// A lone session sent without an id replaces the event's lone session in place.
+const mergeSessions = (existing, incoming) => {
+  if (existing.length === 1 && incoming.length === 1 && !incoming[0]._id) {
+    incoming = [{ ...incoming[0], _id: existing[0]._id }];
+  }
+
+  for (const session of existing) {
+    if (session.sold > 0 && !incoming.some((s) => String(s._id) === String(session._id)))
+      throw new Error("Cannot remove a session that already has bookings");
+  }
+
+  return incoming.map((session) => {
+    const current = existing.find((s) => String(s._id) === String(session._id));
+    return current ? { ...session, _id: current._id, sold: current.sold } : session;
   });
 };
 
@@ -41,178 +165,489 @@ const uploadToCloudinary = (buffer, folder) => {
 // -----------------------------
 router.post(
   "/add",
-  authAdmin,
-  upload.fields([
-    { name: "imageUrl", maxCount: 1 },
-    { name: "sponsorLogos", maxCount: 10 },
-  ]),
+  authorize("events:write"),
+  eventMediaUpload(MEDIA_FIELDS),
+  validate({ body: createBody }),
   async (req, res) => {
     try {
       const {
         title,
         description,
-        date,
         location,
         category,
         address,
-        standardPrice,
-        vipPrice,
-        eventTime,
         refreshments,
+        status = "draft",
       } = req.body;
 
-      let imageUrl = "";
-      let sponsorLogos = [];
+      const timeZone = req.body.timeZone || DEFAULT_TIME_ZONE;
+
+      let ticketTiers;
+      let sessions;
+      try {
+        ticketTiers = parseTicketTiers(req.body.ticketTiers) || [];
+        sessions = parseSessions(req.body, timeZone) || [];
+      } catch (err) {
+        return sendError(res, 400, err.message);
+      }
 
-      if (req.files.imageUrl) {
-        imageUrl = await uploadToCloudinary(req.files.imageUrl[0].buffer, "events");
+      if (status === "published" && !sessions.length) {
+        return sendError(res, 400, "Add at least one session before publishing");
       }
 
-      if (req.files.sponsorLogos) {
-        for (let file of req.files.sponsorLogos) {
-          const url = await uploadToCloudinary(file.buffer, "events/sponsors");
-          sponsorLogos.push(url);
+      // Files stored for this request are dropped again if the event never gets saved
+      const uploadedKeys = [];
+      let savedEvent;
+
+      try {
+        let image = { imageUrl: "", imageKey: null, imageVariants: [] };
+        let sponsorLogos = [];
+        let sponsorLogoKeys = [];
+
+        if (req.files?.imageUrl) {
+          image = await storeEventImage(req.files.imageUrl[0]);
+          uploadedKeys.push(...eventImageKeys(image));
         }
+
+        if (req.files?.sponsorLogos) {
+          for (let file of req.files.sponsorLogos) {
+            const stored = await storeSponsorLogo(file);
+            sponsorLogos.push(stored.url);
+            sponsorLogoKeys.push(stored.key);
+            uploadedKeys.push(stored.key);
+          }
+        }
+
+        const newEvent = new Event({
+          title,
+          description,
+          status,
+          publishedAt: status === "published" ? new Date() : null,
+          timeZone,
+          sessions,
+          location,
+          category,
+          address,
+          refreshments,
+          ticketTiers,
+          ...image,
+          sponsorLogos,
+          sponsorLogoKeys,
+        });
+
+        savedEvent = await newEvent.save();
+      } catch (err) {
+        await Promise.all(uploadedKeys.map(removeFile));
+        throw err;
       }
 
-      const newEvent = new Event({
-        title,
-        description,
-        date,
-        location,
-        category,
-        address,
-        standardPrice,
-        vipPrice,
-        eventTime,
-        refreshments,
-        imageUrl,
-        sponsorLogos,
-      });
+      await recordAudit(req, { action: "event.create", targetType: "Event", after: savedEvent });
+      await emitWebhook("event.created", eventPayload(savedEvent));
 
-      const savedEvent = await newEvent.save();
       res.status(201).json(savedEvent);
     } catch (err) {
+      if (err.name === "ValidationError") throw err;
       console.error(err);
-      res.status(500).json({ message: "Failed to create event" });
+      sendError(res, 500, "Failed to create event");
     }
   }
 );
 
 // -----------------------------
-// Get all events
+// Get all events (filtered, paginated)
+// Query: when=upcoming|past, category, city (matches location/address),
+// from/to (event date range), minPrice/maxPrice (minor units, any tier),
+// q (full-text over title/description), sort=date|-date|newest|relevance,
+// page, limit. The public only sees published events; admins may pass
+// status (comma list of draft, published, archived, cancelled).
 // -----------------------------
-router.get("/", async (req, res) => {
+const EVENT_SORTS = {
+  date: { startsAt: 1 },
+  "-date": { startsAt: -1 },
+  newest: { createdAt: -1 },
+  relevance: { score: { $meta: "textScore" } },
+};
+
+// Turns the listing query string into a Mongo filter
+const buildEventFilter = (query, isAdmin) => {
+  const filter = { status: "published" };
+  const now = new Date();
+
+  if (isAdmin && query.status) filter.status = { $in: query.status.split(",") };
+
+  if (query.when === "upcoming") filter.endsAt = { $gte: now };
+  else if (query.when === "past") filter.endsAt = { $lt: now };
+  else if (query.when !== undefined) throw new Error("when must be upcoming or past");
+
+  if (query.category) filter.category = new RegExp(`^${escapeRegex(query.category)}$`, "i");
+
+  if (query.city) {
+    filter.$or = [{ location: containsRegex(query.city) }, { address: containsRegex(query.city) }];
+  }
+
+  const dates = range(parseDateParam(query.from, "from"), parseDateParam(query.to, "to"));
+  if (dates) filter.startsAt = dates;
+
+  const prices = range(parseIntegerParam(query.minPrice, "minPrice"), parseIntegerParam(query.maxPrice, "maxPrice"));
+  if (prices) filter.ticketTiers = { $elemMatch: { price: prices } };
+
+  if (query.q) filter.$text = { $search: String(query.q) };
+
+  return filter;
+};
+
+router.get("/", identifyAdmin, validate({ query: listQuery }), async (req, res) => {
+  let filter;
+  let pagination;
+  let sort;
+
+  try {
+    filter = buildEventFilter(req.query, Boolean(req.admin));
+    pagination = parsePagination(req.query);
+
+    const sortKey = req.query.sort || (req.query.q ? "relevance" : "newest");
+    sort = EVENT_SORTS[sortKey];
+    if (!sort) throw new Error(`sort must be one of ${Object.keys(EVENT_SORTS).join(", ")}`);
+    if (sortKey === "relevance" && !req.query.q) throw new Error("sort=relevance needs a q search");
+  } catch (err) {
+    return sendError(res, 400, err.message);
+  }
+
   try {
-    const events = await Event.find().sort({ createdAt: -1 });
-    res.json(events);
+    const projection = req.query.q ? { score: { $meta: "textScore" } } : {};
+
+    const [events, total] = await Promise.all([
+      Event.find(filter, projection)
+        .sort({ ...sort, _id: 1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Event.countDocuments(filter),
+    ]);
+
+    res.json({ events, pagination: paginationMeta(pagination, total) });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ message: "Failed to fetch events" });
+    sendError(res, 500, "Failed to fetch events");
   }
 });
 
 // -----------------------------
-// Get single event by ID
+// Get single event by ID (drafts only for admins)
 // -----------------------------
-router.get("/:id", async (req, res) => {
+router.get("/:id", identifyAdmin, validate({ params: eventParams }), async (req, res) => {
   try {
     const { id } = req.params;
-    if (!id.match(/^[0-9a-fA-F]{24}$/))
-      return res.status(400).json({ message: "Invalid event ID" });
 
     const event = await Event.findById(id);
-    if (!event) return res.status(404).json({ message: "Event not found" });
+    if (!event || (event.status === "draft" && !req.admin)) return sendError(res, 404, "Event not found");
 
     res.json(event);
   } catch (err) {
     console.error(err);
-    res.status(500).json({ message: "Failed to fetch event" });
+    sendError(res, 500, "Failed to fetch event");
   }
 });
 
+// -----------------------------
+// Reminder settings + schedule for an event
+// -----------------------------
+const REMINDER_FIELDS = ["enabled", "offsetsHours", "followUpEnabled", "followUpDelayHours", "followUpMessage", "feedbackURL"];
+
+// Emails queued / sent so far for one scheduled send
+const scheduledEmailCounts = async (prefix) => {
+  const counts = await EmailJob.aggregate([
+    { $match: { dedupeKey: { $regex: `^${prefix}` } } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+  return Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+};
+
+router.get("/:id/reminders", authorize("events:write"), validate({ params: eventParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const event = await Event.findById(id);
+    if (!event) return sendError(res, 404, "Event not found");
+
+    const schedule = [];
+    for (const session of event.sessions) {
+      for (const hours of reminderOffsets(event)) {
+        schedule.push({
+          type: "reminder",
+          session: event.describeSession(session),
+          hoursBefore: hours,
+          sendAt: new Date(session.startsAt.getTime() - hours * 60 * 60 * 1000),
+          emails: await scheduledEmailCounts(reminderKeyPrefix(session, hours)),
+        });
+      }
+
+      if (event.reminders?.followUpEnabled) {
+        schedule.push({
+          type: "follow-up",
+          session: event.describeSession(session),
+          sendAt: followUpDueAt(event, session),
+          emails: await scheduledEmailCounts(followUpKeyPrefix(session)),
+        });
+      }
+    }
+
+    schedule.sort((a, b) => a.sendAt - b.sendAt);
+    res.json({ settings: event.reminders, schedule });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Failed to fetch reminders");
+  }
+});
+
+// Renders a reminder (?type=reminder&hoursBefore=24) or the follow-up (?type=follow-up)
+// for a sample attendee, so admins can see it before it goes out
+router.get(
+  "/:id/reminders/preview",
+  authorize("events:write"),
+  validate({ params: eventParams, query: reminderPreviewQuery }),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const event = await Event.findById(id);
+      if (!event) return sendError(res, 404, "Event not found");
+
+      const type = req.query.type || "reminder";
+
+      const hoursBefore = Number(req.query.hoursBefore || reminderOffsets(event).at(-1) || 24);
+
+      const upcoming = event.sessions.find((session) => session.startsAt > new Date()) || event.sessions[0];
+      const sample = new Booking({
+        firstName: "Sample",
+        lastName: "Attendee",
+        ticketNumber: "000000",
+        ticketType: event.ticketTiers[0]?.name || "Standard",
+        eventId: event,
+        sessionId: upcoming?._id,
+      });
+
+      const message =
+        type === "reminder" ? await eventReminderEmail(sample, { hoursBefore }) : await eventFollowUpEmail(sample);
+
+      res.json({ subject: message.subject, html: message.html });
+    } catch (err) {
+      console.error(err);
+      sendError(res, 500, "Failed to render preview");
+    }
+  }
+);
+
+router.put(
+  "/:id/reminders",
+  authorize("events:write"),
+  validate({ params: eventParams, body: remindersBody }),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const event = await Event.findById(id);
+      if (!event) return sendError(res, 404, "Event not found");
+
+      const before = snapshot(event);
+      for (const field of REMINDER_FIELDS) {
+        if (req.body[field] !== undefined) event.reminders[field] = req.body[field];
+      }
+
+      const updatedEvent = await event.save();
+      await recordAudit(req, { action: "event.reminders_update", targetType: "Event", before, after: updatedEvent });
+
+      res.json({ message: "Reminder settings updated", settings: updatedEvent.reminders });
+    } catch (err) {
+      if (err.name === "ValidationError" || err.name === "CastError") throw err;
+      if (err.name === "VersionError")
+        return sendError(res, 409, "Event changed meanwhile (new bookings?), please retry");
+      console.error(err);
+      sendError(res, 500, "Failed to update reminders");
+    }
+  }
+);
+
+// -----------------------------
+// Publish / unpublish / archive / cancel
+// Body: status, reason (required to cancel). Cancelling also cancels
+// every booking, closes the waitlist and emails the attendees.
+// -----------------------------
+router.put(
+  "/:id/status",
+  authorize("events:write"),
+  validate({ params: eventParams, body: statusBody }),
+  async (req, res) => {
+    try {
+      const { status, reason } = req.body;
+
+      const event = await Event.findById(req.params.id);
+      if (!event) return sendError(res, 404, "Event not found");
+
+      let result;
+      try {
+        result = await changeEventStatus(event, status, { actorId: req.admin.id, reason });
+      } catch (err) {
+        if (!(err instanceof EventStatusError)) throw err;
+        return sendError(res, err.statusCode, err.message, { allowed: EVENT_STATUS_TRANSITIONS[event.status] });
+      }
+
+      await recordAudit(req, {
+        action: "event.status_change",
+        targetType: "Event",
+        targetId: event._id,
+        before: { status: event.status },
+        after: { status, reason },
+      });
+
+      res.json({
+        message: `Event ${status}`,
+        event: result.event,
+        ...(status === "cancelled" ? { cancelledBookings: result.cancelled, failed: result.failed } : {}),
+      });
+    } catch (err) {
+      console.error("Event Status Error:", err);
+      sendError(res, 500, "Failed to update event status");
+    }
+  }
+);
+
 // -----------------------------
 // Update Event
 // -----------------------------
 router.put(
   "/:id",
-  authAdmin,
-  upload.fields([
-    { name: "imageUrl", maxCount: 1 },
-    { name: "sponsorLogos", maxCount: 10 },
-  ]),
+  authorize("events:write"),
+  eventMediaUpload(MEDIA_FIELDS),
+  validate({ params: eventParams, body: updateBody }),
   async (req, res) => {
     try {
       const { id } = req.params;
-      if (!id.match(/^[0-9a-fA-F]{24}$/))
-        return res.status(400).json({ message: "Invalid event ID" });
 
       const event = await Event.findById(id);
-      if (!event) return res.status(404).json({ message: "Event not found" });
+      if (!event) return sendError(res, 404, "Event not found");
+
+      const before = snapshot(event);
 
       const {
         title,
         description,
-        date,
         location,
         category,
         address,
-        standardPrice,
-        vipPrice,
-        eventTime,
         refreshments,
       } = req.body;
 
+      if (req.body.timeZone) {
+        event.timeZone = req.body.timeZone;
+      }
+
+      try {
+        const ticketTiers = parseTicketTiers(req.body.ticketTiers);
+        if (ticketTiers) event.ticketTiers = mergeTicketTiers(event.ticketTiers, ticketTiers);
+
+        const sessions = parseSessions(req.body, event.timeZone);
+        if (sessions) event.sessions = mergeSessions(event.sessions, sessions);
+      } catch (err) {
+        return sendError(res, 400, err.message);
+      }
+
+      if (event.status !== "draft" && !event.sessions.length) {
+        return sendError(res, 400, "Only a draft event can have no sessions");
+      }
+
       event.title = title || event.title;
       event.description = description || event.description;
-      event.date = date || event.date;
       event.location = location || event.location;
       event.category = category || event.category;
       event.address = address || event.address;
-      event.standardPrice = standardPrice || event.standardPrice;
-      event.vipPrice = vipPrice || event.vipPrice;
-      event.eventTime = eventTime || event.eventTime;
       event.refreshments = refreshments || event.refreshments;
 
-      if (req.files.imageUrl) {
-        event.imageUrl = await uploadToCloudinary(req.files.imageUrl[0].buffer, "events");
-      }
+      // Old media is only removed once the event points at the new files,
+      // and the new files are dropped again if the event never gets saved
+      const replacedKeys = [];
+      const uploadedKeys = [];
+      let updatedEvent;
 
-      if (req.files.sponsorLogos) {
-        let sponsorLogos = [];
-        for (let file of req.files.sponsorLogos) {
-          const url = await uploadToCloudinary(file.buffer, "events/sponsors");
-          sponsorLogos.push(url);
+      try {
+        if (req.files?.imageUrl) {
+          const image = await storeEventImage(req.files.imageUrl[0]);
+          uploadedKeys.push(...eventImageKeys(image));
+          replacedKeys.push(...eventImageKeys(event));
+          event.set(image);
+        }
+
+        if (req.files?.sponsorLogos) {
+          let sponsorLogos = [];
+          let sponsorLogoKeys = [];
+          for (let file of req.files.sponsorLogos) {
+            const stored = await storeSponsorLogo(file);
+            sponsorLogos.push(stored.url);
+            sponsorLogoKeys.push(stored.key);
+            uploadedKeys.push(stored.key);
+          }
+          replacedKeys.push(...event.sponsorLogoKeys);
+          event.sponsorLogos = sponsorLogos;
+          event.sponsorLogoKeys = sponsorLogoKeys;
         }
-        event.sponsorLogos = sponsorLogos;
+
+        updatedEvent = await event.save();
+      } catch (err) {
+        await Promise.all(uploadedKeys.map(removeFile));
+        throw err;
       }
 
-      const updatedEvent = await event.save();
+      await Promise.all(replacedKeys.map(removeFile));
+      await recordAudit(req, { action: "event.update", targetType: "Event", before, after: updatedEvent });
+      await emitWebhook("event.updated", eventPayload(updatedEvent));
+
+      // Raised capacity (or a reopened sales window) may let the waitlist in
+      await offerFreedSeats(updatedEvent._id).catch((err) => console.error("Waitlist Error:", err));
+
       res.json(updatedEvent);
     } catch (err) {
+      if (err.name === "ValidationError") throw err;
+      if (err.name === "VersionError")
+        return sendError(res, 409, "Event changed meanwhile (new bookings?), please retry");
       console.error(err);
-      res.status(500).json({ message: "Failed to update event" });
+      sendError(res, 500, "Failed to update event");
     }
   }
 );
 
 // -----------------------------
-// Delete Event
+// Delete Event (only events nobody has booked; its waitlist goes with it)
 // -----------------------------
-router.delete("/:id", authAdmin, async (req, res) => {
+router.delete("/:id", authorize("events:write"), validate({ params: eventParams }), async (req, res) => {
   try {
     const { id } = req.params;
-    if (!id.match(/^[0-9a-fA-F]{24}$/))
-      return res.status(400).json({ message: "Invalid event ID" });
 
     const event = await Event.findById(id);
-    if (!event) return res.status(404).json({ message: "Event not found" });
+    if (!event) return sendError(res, 404, "Event not found");
+
+    // Bookings keep pointing at their event, so it can only be archived or cancelled
+    if (await Booking.exists({ eventId: event._id })) {
+      return sendError(res, 409, "This event has bookings, archive or cancel it instead", {
+        code: "EVENT_HAS_BOOKINGS",
+      });
+    }
 
     await event.deleteOne();
+    await WaitlistEntry.deleteMany({ eventId: event._id });
+    // An empty events list means "every event", so codes scoped to this event alone
+    // are switched off (keeping the id) instead of losing their only event
+    await PromoCode.updateMany({ events: [event._id] }, { active: false });
+    await PromoCode.updateMany(
+      { events: event._id, "events.1": { $exists: true } },
+      { $pull: { events: event._id } }
+    );
+    await recordAudit(req, { action: "event.delete", targetType: "Event", before: event });
+    await emitWebhook("event.deleted", eventPayload(event));
+    await Promise.all([...eventImageKeys(event), ...event.sponsorLogoKeys].map(removeFile));
+
     res.json({ message: "Event deleted successfully" });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ message: "Failed to delete event" });
+    sendError(res, 500, "Failed to delete event");
   }
 });
 
@@ -0,0 +1,30 @@
+import express from "express";
+import { resolveKey, verifySignature } from "../utils/storage/localDriver.js";
+import { sendError } from "../utils/errors.js";
+import { validate } from "../middleware/validate.js";
+import { signedUrlQuery } from "../validators/reportSchemas.js";
+
+const router = express.Router();
+
+// -----------------------------
+// Serve private files of the local storage driver via signed URLs
+// -----------------------------
+router.get("/private/*path", validate({ query: signedUrlQuery }), (req, res) => {
+  try {
+    const key = `private/${req.params.path.join("/")}`;
+    const { expires, signature } = req.query;
+
+    if (!verifySignature(key, expires, signature)) {
+      return sendError(res, 403, "Link is invalid or has expired");
+    }
+
+    const { filePath } = resolveKey(key);
+    res.sendFile(filePath, (err) => {
+      if (err && !res.headersSent) sendError(res, 404, "File not found");
+    });
+  } catch (err) {
+    sendError(res, 400, "Invalid file path");
+  }
+});
+
+export default router;
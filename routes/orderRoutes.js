@@ -0,0 +1,368 @@
+import express from "express";
+import Order from "../models/Order.js";
+import Booking from "../models/Booking.js";
+import Event from "../models/Event.js";
+import PromoCode from "../models/PromoCode.js";
+import { authorize } from "../middleware/adminMiddleware.js";
+import { receiptUpload } from "../middleware/upload.js";
+import { removeFile, getSignedUrl } from "../utils/storage/index.js";
+import { storeReceipt } from "../utils/media.js";
+import { enqueueEmail } from "../jobs/emailOutbox.js";
+import { emitWebhook, bookingPayload } from "../jobs/webhooks.js";
+import { parsePagination, paginationMeta } from "../utils/query.js";
+import { recordAudit } from "../utils/audit.js";
+import {
+  STATUS_TRANSITIONS,
+  BookingStatusError,
+  assertTransition,
+  canTransition,
+  changeBookingStatus,
+  retakePromoUse,
+  returnPromoUse,
+} from "../utils/bookingStatus.js";
+import { sendError, sendTooManyRequests } from "../utils/errors.js";
+import { duplicateBookingRetryAfter } from "../utils/duplicateBookings.js";
+import { rateLimit, LIMITS, byIp, byEmail } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import { createBody, listQuery, orderParams, statusBody } from "../validators/orderSchemas.js";
+
+const router = express.Router();
+
+/* ----------------------------------------------------
+   CREATE ORDER (ONE RECEIPT, SEVERAL TICKETS)
+   Multipart bodies send attendees as a JSON string:
+   [{ firstName, lastName, ticketType, emailAddress?, contactNumber? }]
+---------------------------------------------------- */
+router.post(
+  "/create",
+  rateLimit("booking-ip", LIMITS.bookingByIp, byIp),
+  receiptUpload("receiptImage"),
+  validate({ body: createBody }),
+  rateLimit("booking-email", LIMITS.bookingByEmail, byEmail("emailAddress")),
+  async (req, res) => {
+    try {
+      const { firstName, lastName, contactNumber, emailAddress, cityName, eventId, sessionId, promoCode, attendees } =
+        req.body;
+
+      if (!req.file) return sendError(res, 400, "A receipt (image or PDF) is required");
+
+      const event = await Event.findById(eventId);
+      if (!event) return sendError(res, 404, "Event not found");
+
+      const closed = event.bookingClosedReason();
+      if (closed) return sendError(res, 400, closed);
+
+      const retryAfter = await duplicateBookingRetryAfter(event._id, emailAddress);
+      if (retryAfter) {
+        return sendTooManyRequests(res, retryAfter, "You have booked this event several times already, please wait", {
+          code: "DUPLICATE_BOOKING",
+        });
+      }
+
+      // Single-session events don't need the client to pick a session
+      const session = sessionId
+        ? event.sessionFor(sessionId)
+        : event.sessions.length === 1 ? event.sessions[0] : null;
+      if (!session) return sendError(res, 400, sessionId ? "Invalid session" : "sessionId is required");
+
+      if (session.startsAt <= new Date()) {
+        return sendError(res, 400, "This session has already started");
+      }
+
+      // Every tier must exist, be on sale and share one currency
+      const tiers = [];
+      for (const attendee of attendees) {
+        const tier = event.tierFor(attendee.ticketType);
+        if (!tier) return sendError(res, 400, `Invalid ticket type "${attendee.ticketType}"`);
+
+        const salesClosed = tier.salesClosedReason();
+        if (salesClosed) return sendError(res, 400, salesClosed);
+        tiers.push(tier);
+      }
+
+      if (new Set(tiers.map((tier) => tier.currency)).size > 1)
+        return sendError(res, 400, "All tickets in an order must be priced in the same currency");
+
+      // The code counts as one use per order and discounts every ticket it applies to
+      let promo = null;
+      if (promoCode) {
+        promo = await PromoCode.findOne({ code: String(promoCode).toUpperCase().trim() });
+        if (!promo) return sendError(res, 400, "Promo code not found");
+
+        const reasons = attendees.map((attendee) => promo.rejectionReason({ eventId: event._id, ticketType: attendee.ticketType }));
+        if (reasons.every(Boolean)) return sendError(res, 400, reasons[0]);
+      }
+
+      const lines = attendees.map((attendee, i) => {
+        const originalPrice = tiers[i].price;
+        const eligible = promo && !promo.rejectionReason({ eventId: event._id, ticketType: attendee.ticketType });
+        const discountAmount = eligible ? promo.discountFor(originalPrice) : 0;
+        return { attendee, tier: tiers[i], originalPrice, discountAmount, finalAmount: originalPrice - discountAmount };
+      });
+
+      // Hold every seat before uploading anything; all or nothing
+      const held = [];
+      for (const line of lines) {
+        const reserved = await Event.reserveSeat(eventId, line.tier.name, session._id);
+        if (!reserved) {
+          for (const tierName of held) await Event.releaseSeat(eventId, tierName, session._id);
+          return sendError(res, 409, `Not enough ${line.tier.name} tickets left for this session`, { soldOut: true });
+        }
+        held.push(line.tier.name);
+      }
+
+      let receipt;
+      let redeemed = false;
+      let order;
+
+      try {
+        if (promo) {
+          redeemed = Boolean(await PromoCode.redeem(promo._id));
+          if (!redeemed) {
+            for (const tierName of held) await Event.releaseSeat(eventId, tierName, session._id);
+            return sendError(res, 400, "Promo code has been fully used");
+          }
+        }
+
+        // Receipts hold personal payment details, so they are stored privately
+        receipt = await storeReceipt(req.file);
+
+        const sum = (field) => lines.reduce((total, line) => total + line[field], 0);
+
+        order = await Order.create({
+          eventId,
+          sessionId: session._id,
+          purchaser: { firstName, lastName, contactNumber, emailAddress, cityName },
+          receiptImageKey: receipt.key,
+          promoCode: promo?.code || null,
+          currency: tiers[0].currency,
+          originalPrice: sum("originalPrice"),
+          discountAmount: sum("discountAmount"),
+          finalAmount: sum("finalAmount"),
+        });
+
+        // Saved one by one so each gets its own ticket number from the pre-save hook
+        const bookings = [];
+        for (const line of lines) {
+          bookings.push(
+            await new Booking({
+              orderId: order._id,
+              eventId,
+              sessionId: session._id,
+              firstName: line.attendee.firstName,
+              lastName: line.attendee.lastName,
+              contactNumber: line.attendee.contactNumber || contactNumber,
+              emailAddress: line.attendee.emailAddress || emailAddress,
+              cityName,
+              ticketType: line.tier.name,
+              promoCode: line.discountAmount ? promo.code : null,
+              currency: line.tier.currency,
+              originalPrice: line.originalPrice,
+              discountAmount: line.discountAmount,
+              finalAmount: line.finalAmount,
+            }).save()
+          );
+        }
+
+        for (const booking of bookings) {
+          await emitWebhook("booking.created", bookingPayload(booking));
+        }
+
+        const anchor = await bookings[0].populate("eventId");
+        await enqueueEmail({
+          type: "order-received",
+          booking: anchor,
+          to: emailAddress,
+          data: {
+            purchaserName: firstName,
+            tickets: bookings.map((booking) => ({
+              ticketNumber: booking.ticketNumber,
+              name: `${booking.firstName} ${booking.lastName}`,
+              ticketType: booking.ticketType,
+            })),
+          },
+        }).catch((err) => console.error("Email Queue Error:", err));
+
+        res.status(201).json({ message: "Order created successfully", order, bookings });
+      } catch (error) {
+        // Undo everything if the order didn't fully save
+        if (order) {
+          await Booking.deleteMany({ orderId: order._id });
+          await Order.deleteOne({ _id: order._id });
+        }
+        for (const tierName of held) await Event.releaseSeat(eventId, tierName, session._id);
+        if (redeemed) await PromoCode.unredeem(promo._id);
+        await removeFile(receipt?.key);
+        throw error;
+      }
+    } catch (error) {
+      console.error("Order Create Error:", error);
+      sendError(res, 500, "Order failed");
+    }
+  }
+);
+
+/* ----------------------------------------------------
+   LIST ORDERS
+   Query: eventId, status, page, limit
+---------------------------------------------------- */
+router.get("/", authorize("bookings:read"), validate({ query: listQuery }), async (req, res) => {
+  const filter = {};
+  let pagination;
+
+  try {
+    if (req.query.eventId) filter.eventId = req.query.eventId;
+    if (req.query.status) filter.status = req.query.status;
+    pagination = parsePagination(req.query);
+  } catch (err) {
+    return sendError(res, 400, err.message);
+  }
+
+  try {
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .populate("eventId", "title")
+        .sort({ createdAt: -1, _id: 1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Order.countDocuments(filter),
+    ]);
+
+    res.json({ orders, pagination: paginationMeta(pagination, total) });
+  } catch (error) {
+    console.error(error);
+    sendError(res, 500, "Failed to fetch orders");
+  }
+});
+
+/* ----------------------------------------------------
+   GET ORDER WITH ITS TICKETS
+---------------------------------------------------- */
+router.get("/:id", authorize("bookings:read"), validate({ params: orderParams }), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).populate("eventId");
+    if (!order) return sendError(res, 404, "Order not found");
+
+    const bookings = await Booking.find({ orderId: order._id }).sort({ createdAt: 1 });
+
+    res.json({
+      ...order.toJSON(),
+      receiptImage: await getSignedUrl(order.receiptImageKey),
+      bookings,
+    });
+  } catch (error) {
+    console.error(error);
+    sendError(res, 500, "Failed to fetch order");
+  }
+});
+
+/* ----------------------------------------------------
+   UPDATE ORDER STATUS (APPLIES TO EVERY TICKET)
+   Body: status, reason (required when rejecting), note.
+   Cancelling covers all tickets; reinstating a cancelled
+   order covers all tickets; anything else skips tickets
+   that were cancelled on their own or can't move to the
+   new status. Nothing changes if no ticket could move.
+---------------------------------------------------- */
+router.put(
+  "/:id/status",
+  authorize("bookings:status"),
+  validate({ params: orderParams, body: statusBody }),
+  async (req, res) => {
+    try {
+      const { status } = req.body;
+      const reason = req.body.reason ? String(req.body.reason).trim() : null;
+      const note = req.body.note ? String(req.body.note).trim() : "Order status change";
+
+      const order = await Order.findById(req.params.id);
+      if (!order) return sendError(res, 404, "Order not found");
+
+      try {
+        assertTransition(order.status, status, reason);
+      } catch (err) {
+        return sendError(res, err.statusCode, err.message, { allowed: STATUS_TRANSITIONS[order.status] });
+      }
+
+      // Only tickets that are allowed to move to the new status are picked up
+      let ticketStatus;
+      if (status === "Cancelled") ticketStatus = { $ne: "Cancelled" };
+      else if (order.status === "Cancelled") ticketStatus = "Cancelled";
+      else {
+        const movable = Object.keys(STATUS_TRANSITIONS).filter((from) => canTransition(from, status));
+        ticketStatus = { $in: movable.filter((from) => from !== "Cancelled") };
+      }
+
+      // Reinstating takes the order's one promo use again; cancelling gives it back below
+      const reinstating = order.status === "Cancelled";
+      if (reinstating && !(await retakePromoUse(order.promoCode))) {
+        return sendError(res, 409, `Promo code ${order.promoCode} can no longer be used`);
+      }
+
+      const bookings = await Booking.find({ orderId: order._id, status: ticketStatus });
+
+      const updated = [];
+      const failed = [];
+
+      for (const booking of bookings) {
+        try {
+          updated.push(await changeBookingStatus(booking, status, { actorId: req.admin.id, reason, note }));
+        } catch (err) {
+          if (!(err instanceof BookingStatusError)) throw err;
+          failed.push({ bookingId: booking._id, ticketNumber: booking.ticketNumber, message: err.message });
+        }
+      }
+
+      // The order only follows its tickets: if none of them moved, it stays as it was.
+      // An order whose tickets were all cancelled on their own can still be cancelled.
+      if (!updated.length && (bookings.length || status !== "Cancelled")) {
+        if (reinstating) await returnPromoUse(order.promoCode);
+        return sendError(res, 409, "No ticket in this order could be updated", { failed });
+      }
+
+      const after = await Order.findByIdAndUpdate(
+        order._id,
+        { status, rejectionReason: status === "Unpaid" ? reason : null },
+        { new: true }
+      );
+      if (status === "Cancelled") await returnPromoUse(order.promoCode);
+
+      await recordAudit(req, {
+        action: status === "Cancelled" ? "order.cancel" : "order.status_change",
+        targetType: "Order",
+        before: order,
+        after,
+      });
+
+      // Payment confirmed: every attendee gets their own ticket
+      if (status === "Paid") {
+        for (const booking of updated) {
+          if (booking.ticketTokenRevokedAt) continue;
+          await enqueueEmail({ type: "ticket", booking }).catch((err) => console.error("Email Queue Error:", err));
+        }
+      }
+
+      // Receipt rejected: the purchaser uploaded it, so they hear about it once
+      if (status === "Unpaid" && updated.length) {
+        const anchor = await updated[0].populate("eventId");
+        await enqueueEmail({
+          type: "payment-rejected",
+          booking: anchor,
+          to: order.purchaser.emailAddress,
+          data: { name: order.purchaser.firstName },
+        }).catch((err) => console.error("Email Queue Error:", err));
+      }
+
+      res.status(failed.length ? 207 : 200).json({
+        message: failed.length ? "Some tickets could not be updated" : "Order status updated successfully",
+        order: after,
+        updated: updated.length,
+        failed,
+      });
+    } catch (error) {
+      console.error("Order Status Error:", error);
+      sendError(res, 500, "Failed to update order status");
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,168 @@
+import express from "express";
+import PromoCode from "../models/PromoCode.js";
+import Event from "../models/Event.js";
+import { authorize } from "../middleware/adminMiddleware.js";
+import { recordAudit, snapshot } from "../utils/audit.js";
+import { sendError } from "../utils/errors.js";
+import { validate } from "../middleware/validate.js";
+import { createBody, promoParams, updateBody, validateBody } from "../validators/promoSchemas.js";
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+  "code",
+  "description",
+  "discountType",
+  "amount",
+  "events",
+  "ticketTypes",
+  "validFrom",
+  "validUntil",
+  "maxUses",
+  "active",
+];
+
+// Copies only the fields admins may set
+const pickPromoFields = (body) => {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  return data;
+};
+
+// -----------------------------
+// Check a code against an event/ticket type (public, used at checkout)
+// -----------------------------
+router.post("/validate", validate({ body: validateBody }), async (req, res) => {
+  try {
+    const { code, eventId, ticketType } = req.body;
+
+    const event = await Event.findById(eventId);
+    if (!event) return sendError(res, 404, "Event not found");
+
+    const closed = event.bookingClosedReason();
+    if (closed) return sendError(res, 400, closed, { valid: false });
+
+    const promo = await PromoCode.findOne({ code: String(code).toUpperCase().trim() });
+    if (!promo) return sendError(res, 404, "Promo code not found", { valid: false });
+
+    const reason = promo.rejectionReason({ eventId: event._id, ticketType });
+    if (reason) return sendError(res, 400, reason, { valid: false });
+
+    const tier = event.tierFor(ticketType);
+    if (!tier) return sendError(res, 400, "Invalid ticket type", { valid: false });
+
+    const discountAmount = promo.discountFor(tier.price);
+
+    res.json({
+      valid: true,
+      code: promo.code,
+      discountType: promo.discountType,
+      amount: promo.amount,
+      currency: tier.currency,
+      originalPrice: tier.price,
+      discountAmount,
+      finalAmount: tier.price - discountAmount,
+    });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Failed to validate promo code");
+  }
+});
+
+// -----------------------------
+// Create promo code
+// -----------------------------
+router.post("/", authorize("promos:manage"), validate({ body: createBody }), async (req, res) => {
+  try {
+    const promo = await PromoCode.create(pickPromoFields(req.body));
+    await recordAudit(req, { action: "promo.create", targetType: "PromoCode", after: promo });
+    res.status(201).json(promo);
+  } catch (err) {
+    if (err.code === 11000) return sendError(res, 400, "Promo code already exists");
+    if (err.name === "ValidationError") throw err;
+    console.error(err);
+    sendError(res, 500, "Failed to create promo code");
+  }
+});
+
+// -----------------------------
+// Get all promo codes
+// -----------------------------
+router.get("/", authorize("promos:manage"), async (req, res) => {
+  try {
+    const promos = await PromoCode.find().populate("events", "title").sort({ createdAt: -1 });
+    res.json(promos);
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Failed to fetch promo codes");
+  }
+});
+
+// -----------------------------
+// Get single promo code
+// -----------------------------
+router.get("/:id", authorize("promos:manage"), validate({ params: promoParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const promo = await PromoCode.findById(id).populate("events", "title");
+    if (!promo) return sendError(res, 404, "Promo code not found");
+
+    res.json(promo);
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Failed to fetch promo code");
+  }
+});
+
+// -----------------------------
+// Update promo code
+// -----------------------------
+router.put(
+  "/:id",
+  authorize("promos:manage"),
+  validate({ params: promoParams, body: updateBody }),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const promo = await PromoCode.findById(id);
+      if (!promo) return sendError(res, 404, "Promo code not found");
+
+      const before = snapshot(promo);
+      promo.set(pickPromoFields(req.body));
+      const updated = await promo.save();
+      await recordAudit(req, { action: "promo.update", targetType: "PromoCode", before, after: updated });
+
+      res.json(updated);
+    } catch (err) {
+      if (err.code === 11000) return sendError(res, 400, "Promo code already exists");
+      if (err.name === "ValidationError") throw err;
+      console.error(err);
+      sendError(res, 500, "Failed to update promo code");
+    }
+  }
+);
+
+// -----------------------------
+// Delete promo code
+// -----------------------------
+router.delete("/:id", authorize("promos:manage"), validate({ params: promoParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const promo = await PromoCode.findById(id);
+    if (!promo) return sendError(res, 404, "Promo code not found");
+
+    await promo.deleteOne();
+    await recordAudit(req, { action: "promo.delete", targetType: "PromoCode", before: promo });
+    res.json({ message: "Promo code deleted successfully" });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Failed to delete promo code");
+  }
+});
+
+export default router;
@@ -0,0 +1,304 @@
+import express from "express";
+import Event from "../models/Event.js";
+import Booking from "../models/Booking.js";
+import WaitlistEntry from "../models/WaitlistEntry.js";
+import { authorize } from "../middleware/adminMiddleware.js";
+import { receiptUpload } from "../middleware/upload.js";
+import { removeFile } from "../utils/storage/index.js";
+import { storeReceipt } from "../utils/media.js";
+import { enqueueEmail } from "../jobs/emailOutbox.js";
+import { hashOfferToken, offerFreedSeats, withdrawOffer } from "../jobs/waitlistOffers.js";
+import { emitWebhook, bookingPayload } from "../jobs/webhooks.js";
+import { recordAudit } from "../utils/audit.js";
+import { sendError } from "../utils/errors.js";
+import { validate } from "../middleware/validate.js";
+import {
+  claimParams,
+  entryParams,
+  eventParams,
+  joinBody,
+  listQuery,
+  reorderBody,
+} from "../validators/waitlistSchemas.js";
+
+const router = express.Router();
+
+const ACTIVE_STATUSES = ["waiting", "offered"];
+
+/* ----------------------------------------------------
+   JOIN THE WAITLIST (ONLY WHEN SOLD OUT)
+---------------------------------------------------- */
+router.post("/join", validate({ body: joinBody }), async (req, res) => {
+  try {
+    const { eventId, sessionId, ticketType, firstName, lastName, contactNumber, emailAddress, cityName } = req.body;
+
+    const event = await Event.findById(eventId);
+    if (!event) return sendError(res, 404, "Event not found");
+
+    const closed = event.bookingClosedReason();
+    if (closed) return sendError(res, 400, closed);
+
+    const session = sessionId
+      ? event.sessionFor(sessionId)
+      : event.sessions.length === 1 ? event.sessions[0] : null;
+    if (!session) return sendError(res, 400, sessionId ? "Invalid session" : "sessionId is required");
+    if (session.startsAt <= new Date()) return sendError(res, 400, "This session has already started");
+
+    const tier = event.tierFor(ticketType);
+    if (!tier) return sendError(res, 400, "Invalid ticket type");
+
+    if (tier.remaining !== 0 && session.remaining !== 0) {
+      return sendError(res, 400, `${tier.name} tickets are still available`);
+    }
+
+    const email = String(emailAddress).toLowerCase().trim();
+    const existing = await WaitlistEntry.findOne({
+      eventId,
+      sessionId: session._id,
+      ticketType: tier.name,
+      emailAddress: email,
+      status: { $in: ACTIVE_STATUSES },
+    });
+    if (existing) return sendError(res, 409, "You are already on the waitlist");
+
+    const last = await WaitlistEntry.findOne({ eventId }).sort({ position: -1 }).select("position");
+
+    const entry = await WaitlistEntry.create({
+      eventId,
+      sessionId: session._id,
+      ticketType: tier.name,
+      firstName,
+      lastName,
+      contactNumber,
+      emailAddress: email,
+      cityName,
+      position: (last?.position || 0) + 1,
+    });
+
+    const ahead = await WaitlistEntry.countDocuments({
+      eventId,
+      status: "waiting",
+      position: { $lt: entry.position },
+    });
+
+    res.status(201).json({ message: "Added to the waitlist", id: entry._id, placeInLine: ahead + 1 });
+  } catch (error) {
+    console.error("Waitlist Join Error:", error);
+    sendError(res, 500, "Failed to join the waitlist");
+  }
+});
+
+/* ----------------------------------------------------
+   HELPER: OPEN OFFER FROM A CLAIM LINK
+---------------------------------------------------- */
+const openOfferFilter = (token) => ({
+  offerTokenHash: hashOfferToken(token),
+  status: "offered",
+  offerExpiresAt: { $gt: new Date() },
+});
+
+/* ----------------------------------------------------
+   VIEW AN OFFER
+---------------------------------------------------- */
+router.get("/claim/:token", validate({ params: claimParams }), async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne(openOfferFilter(req.params.token)).populate("eventId");
+    if (!entry) return sendError(res, 410, "This offer has expired or was already claimed");
+
+    const event = entry.eventId;
+    const tier = event.tierFor(entry.ticketType);
+
+    res.json({
+      firstName: entry.firstName,
+      lastName: entry.lastName,
+      ticketType: entry.ticketType,
+      price: tier?.price,
+      currency: tier?.currency,
+      expiresAt: entry.offerExpiresAt,
+      event: { id: event._id, title: event.title },
+      session: event.describeSession(event.sessionFor(entry.sessionId)),
+    });
+  } catch (error) {
+    console.error(error);
+    sendError(res, 500, "Failed to fetch offer");
+  }
+});
+
+/* ----------------------------------------------------
+   CLAIM AN OFFER (BOOKS THE HELD SEAT)
+---------------------------------------------------- */
+router.post("/claim/:token", receiptUpload("receiptImage"), validate({ params: claimParams }), async (req, res) => {
+  try {
+    if (!req.file) return sendError(res, 400, "A receipt (image or PDF) is required");
+
+    // Marking it claimed first means a second request can't book the same seat
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      openOfferFilter(req.params.token),
+      { status: "claimed", claimedAt: new Date() },
+      { new: true }
+    ).populate("eventId");
+    if (!entry) return sendError(res, 410, "This offer has expired or was already claimed");
+
+    const tier = entry.eventId.tierFor(entry.ticketType);
+    let receipt;
+
+    try {
+      receipt = await storeReceipt(req.file);
+
+      // The seat was reserved when the offer was made
+      const booking = await new Booking({
+        firstName: entry.firstName,
+        lastName: entry.lastName,
+        contactNumber: entry.contactNumber,
+        emailAddress: entry.emailAddress,
+        cityName: entry.cityName,
+        ticketType: entry.ticketType,
+        eventId: entry.eventId._id,
+        sessionId: entry.sessionId,
+        receiptImageKey: receipt.key,
+        currency: tier.currency,
+        originalPrice: tier.price,
+        discountAmount: 0,
+        finalAmount: tier.price,
+        history: [{ type: "waitlist_claim", actorType: "attendee", details: { waitlistEntryId: entry._id } }],
+      }).save();
+
+      await WaitlistEntry.updateOne({ _id: entry._id }, { bookingId: booking._id, offerTokenHash: null });
+      await emitWebhook("booking.created", bookingPayload(booking));
+
+      await enqueueEmail({ type: "booking-received", booking }).catch((err) =>
+        console.error("Email Queue Error:", err)
+      );
+
+      res.status(201).json({ message: "Booking created successfully", booking });
+    } catch (error) {
+      // Reopen the offer; the expiry worker passes it on if it runs out meanwhile
+      await WaitlistEntry.updateOne({ _id: entry._id }, { status: "offered", claimedAt: null });
+      await removeFile(receipt?.key);
+      throw error;
+    }
+  } catch (error) {
+    console.error("Waitlist Claim Error:", error);
+    sendError(res, 500, "Failed to claim offer");
+  }
+});
+
+/* ----------------------------------------------------
+   ADMIN: WAITLIST FOR AN EVENT (IN ORDER)
+   Query: status (comma list, defaults to waiting + offered)
+---------------------------------------------------- */
+router.get(
+  "/event/:eventId",
+  authorize("bookings:read"),
+  validate({ params: eventParams, query: listQuery }),
+  async (req, res) => {
+    try {
+      const statuses = req.query.status ? String(req.query.status).split(",") : ACTIVE_STATUSES;
+
+      const entries = await WaitlistEntry.find({ eventId: req.params.eventId, status: { $in: statuses } }).sort({
+        position: 1,
+        createdAt: 1,
+      });
+
+      res.json(entries);
+    } catch (error) {
+      console.error(error);
+      sendError(res, 500, "Failed to fetch waitlist");
+    }
+  }
+);
+
+/* ----------------------------------------------------
+   ADMIN: REORDER AN EVENT'S WAITLIST
+   Body: { entryIds: [...] } - the new order, first in line first.
+   Entries not listed keep their relative order after these.
+---------------------------------------------------- */
+router.put(
+  "/event/:eventId/reorder",
+  authorize("waitlist:manage"),
+  validate({ params: eventParams, body: reorderBody }),
+  async (req, res) => {
+    try {
+      const { entryIds } = req.body;
+
+      const entries = await WaitlistEntry.find({ eventId: req.params.eventId }).sort({ position: 1, createdAt: 1 });
+      const byId = new Map(entries.map((entry) => [entry._id.toString(), entry]));
+
+      if (entryIds.some((id) => !byId.has(String(id))))
+        return sendError(res, 400, "Every entry must belong to this event");
+
+      const listed = new Set(entryIds.map(String));
+      const ordered = [
+        ...entryIds.map((id) => byId.get(String(id))),
+        ...entries.filter((entry) => !listed.has(entry._id.toString())),
+      ];
+
+      await WaitlistEntry.bulkWrite(
+        ordered.map((entry, i) => ({
+          updateOne: { filter: { _id: entry._id }, update: { position: i + 1 } },
+        }))
+      );
+
+      await recordAudit(req, {
+        action: "waitlist.reorder",
+        targetType: "Event",
+        targetId: req.params.eventId,
+        before: { order: entries.map((entry) => entry._id.toString()) },
+        after: { order: ordered.map((entry) => entry._id.toString()) },
+      });
+
+      res.json({ message: "Waitlist reordered" });
+    } catch (error) {
+      console.error(error);
+      sendError(res, 500, "Failed to reorder waitlist");
+    }
+  }
+);
+
+/* ----------------------------------------------------
+   ADMIN: OFFER ANY FREE SEATS NOW
+---------------------------------------------------- */
+router.post(
+  "/event/:eventId/offer",
+  authorize("waitlist:manage"),
+  validate({ params: eventParams }),
+  async (req, res) => {
+    try {
+      const offered = await offerFreedSeats(req.params.eventId);
+      res.json({ message: `${offered} offer(s) sent`, offered });
+    } catch (error) {
+      console.error(error);
+      sendError(res, 500, "Failed to send offers");
+    }
+  }
+);
+
+/* ----------------------------------------------------
+   ADMIN: REMOVE SOMEONE FROM THE WAITLIST
+   An open offer is withdrawn and passed to the next person.
+---------------------------------------------------- */
+router.delete("/:id", authorize("waitlist:manage"), validate({ params: entryParams }), async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) return sendError(res, 404, "Waitlist entry not found");
+
+    const removed =
+      entry.status === "offered"
+        ? await withdrawOffer(entry, "removed")
+        : await WaitlistEntry.findOneAndUpdate(
+            { _id: entry._id, status: "waiting" },
+            { status: "removed" },
+            { new: true }
+          );
+    if (!removed) return sendError(res, 409, "This entry is no longer on the waitlist");
+
+    await recordAudit(req, { action: "waitlist.remove", targetType: "WaitlistEntry", before: entry, after: removed });
+
+    res.json({ message: "Removed from the waitlist" });
+  } catch (error) {
+    console.error(error);
+    sendError(res, 500, "Failed to remove waitlist entry");
+  }
+});
+
+export default router;
@@ -0,0 +1,200 @@
+import express from "express";
+import Webhook, { WEBHOOK_EVENTS } from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import { authorize } from "../middleware/adminMiddleware.js";
+import { generateWebhookSecret, queueDelivery, replayDelivery } from "../jobs/webhooks.js";
+import { parsePagination, paginationMeta } from "../utils/query.js";
+import { recordAudit } from "../utils/audit.js";
+import { sendError } from "../utils/errors.js";
+import { validate } from "../middleware/validate.js";
+import {
+  createBody,
+  deliveriesQuery,
+  deliveryParams,
+  updateBody,
+  webhookParams,
+} from "../validators/webhookSchemas.js";
+
+const router = express.Router();
+
+router.use(authorize("webhooks:manage"));
+
+const EDITABLE_FIELDS = ["url", "description", "events", "active"];
+
+// Copies only the fields admins may set
+const pickWebhookFields = (body) => {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  return data;
+};
+
+// -----------------------------
+// Events an endpoint can subscribe to
+// -----------------------------
+router.get("/events", (req, res) => {
+  res.json(WEBHOOK_EVENTS);
+});
+
+// -----------------------------
+// Register an endpoint (the secret is only returned here and on rotate)
+// -----------------------------
+router.post("/", validate({ body: createBody }), async (req, res) => {
+  try {
+    const secret = generateWebhookSecret();
+    const webhook = await Webhook.create({ ...pickWebhookFields(req.body), secret, createdBy: req.admin.id });
+
+    await recordAudit(req, { action: "webhook.create", targetType: "Webhook", after: webhook });
+
+    res.status(201).json({ ...webhook.toJSON(), secret });
+  } catch (err) {
+    if (err.name === "ValidationError") throw err;
+    console.error(err);
+    sendError(res, 500, "Failed to create webhook");
+  }
+});
+
+// -----------------------------
+// List endpoints
+// -----------------------------
+router.get("/", async (req, res) => {
+  try {
+    const webhooks = await Webhook.find().sort({ createdAt: -1 });
+    res.json(webhooks);
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Failed to fetch webhooks");
+  }
+});
+
+// -----------------------------
+// Update an endpoint
+// -----------------------------
+router.put("/:id", validate({ params: webhookParams, body: updateBody }), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) return sendError(res, 404, "Webhook not found");
+
+    const before = webhook.toObject();
+    webhook.set(pickWebhookFields(req.body));
+    await webhook.save();
+
+    await recordAudit(req, { action: "webhook.update", targetType: "Webhook", before, after: webhook });
+
+    res.json(webhook);
+  } catch (err) {
+    if (err.name === "ValidationError") throw err;
+    console.error(err);
+    sendError(res, 500, "Failed to update webhook");
+  }
+});
+
+// -----------------------------
+// Rotate the signing secret
+// -----------------------------
+router.post("/:id/rotate-secret", validate({ params: webhookParams }), async (req, res) => {
+  try {
+    const secret = generateWebhookSecret();
+    const webhook = await Webhook.findByIdAndUpdate(req.params.id, { secret }, { new: true });
+    if (!webhook) return sendError(res, 404, "Webhook not found");
+
+    await recordAudit(req, { action: "webhook.rotate_secret", targetType: "Webhook", targetId: webhook._id });
+
+    res.json({ message: "Secret rotated", secret });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Failed to rotate secret");
+  }
+});
+
+// -----------------------------
+// Send a test delivery
+// -----------------------------
+router.post("/:id/test", validate({ params: webhookParams }), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) return sendError(res, 404, "Webhook not found");
+
+    const delivery = await queueDelivery(webhook._id, "webhook.test", { message: "Test delivery" });
+    res.status(202).json({ message: "Test delivery queued", delivery });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Failed to queue test delivery");
+  }
+});
+
+// -----------------------------
+// Remove an endpoint (its delivery log is kept)
+// -----------------------------
+router.delete("/:id", validate({ params: webhookParams }), async (req, res) => {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) return sendError(res, 404, "Webhook not found");
+
+    await recordAudit(req, { action: "webhook.delete", targetType: "Webhook", before: webhook });
+
+    res.json({ message: "Webhook deleted successfully" });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Failed to delete webhook");
+  }
+});
+
+// -----------------------------
+// Delivery log for an endpoint
+// Query: status, event, page, limit
+// -----------------------------
+router.get("/:id/deliveries", validate({ params: webhookParams, query: deliveriesQuery }), async (req, res) => {
+  const filter = { webhookId: req.params.id };
+  let pagination;
+
+  try {
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.event) filter.event = String(req.query.event);
+    pagination = parsePagination(req.query);
+  } catch (err) {
+    return sendError(res, 400, err.message);
+  }
+
+  try {
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter).sort({ createdAt: -1, _id: 1 }).skip(pagination.skip).limit(pagination.limit),
+      WebhookDelivery.countDocuments(filter),
+    ]);
+
+    res.json({ deliveries, pagination: paginationMeta(pagination, total) });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Failed to fetch deliveries");
+  }
+});
+
+// -----------------------------
+// Replay a logged delivery
+// -----------------------------
+router.post("/deliveries/:deliveryId/replay", validate({ params: deliveryParams }), async (req, res) => {
+  try {
+    const original = await WebhookDelivery.findById(req.params.deliveryId);
+    if (!original) return sendError(res, 404, "Delivery not found");
+
+    if (!(await Webhook.exists({ _id: original.webhookId })))
+      return sendError(res, 410, "The webhook for this delivery was deleted");
+
+    const delivery = await replayDelivery(original);
+
+    await recordAudit(req, {
+      action: "webhook.replay",
+      targetType: "WebhookDelivery",
+      targetId: original._id,
+      after: { replayId: delivery._id },
+    });
+
+    res.status(202).json({ message: "Delivery queued for replay", delivery });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Failed to replay delivery");
+  }
+});
+
+export default router;
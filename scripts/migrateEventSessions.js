@@ -0,0 +1,110 @@
+// One-off migration: turns the old free-text date/eventTime fields into a
+// dated session (startsAt/endsAt) and attaches existing bookings to it.
+// Safe to run more than once; events that already have sessions are skipped.
+// Events whose date can't be parsed are listed so they can be fixed by hand.
+//
+//   npm run migrate:event-sessions
+import dotenv from "dotenv";
+dotenv.config();
+
+import mongoose from "mongoose";
+import { DateTime } from "luxon";
+import Event from "../models/Event.js";
+import Booking from "../models/Booking.js";
+import { DEFAULT_TIME_ZONE } from "../utils/dateTime.js";
+
+const DATE_FORMATS = ["yyyy-MM-dd", "d/M/yyyy", "d-M-yyyy", "LLLL d, yyyy", "LLL d, yyyy", "d LLLL yyyy", "d LLL yyyy"];
+const TIME_FORMATS = ["h:mm a", "h a", "h:mma", "ha", "HH:mm"];
+
+const parseDate = (raw, zone) => {
+  const value = String(raw || "").trim();
+
+  const iso = DateTime.fromISO(value, { zone });
+  if (iso.isValid) return iso.startOf("day");
+
+  for (const format of DATE_FORMATS) {
+    const parsed = DateTime.fromFormat(value, format, { zone });
+    if (parsed.isValid) return parsed;
+  }
+  return null;
+};
+
+const parseTime = (raw) => {
+  const value = String(raw || "").trim().toUpperCase();
+  for (const format of TIME_FORMATS) {
+    const parsed = DateTime.fromFormat(value, format);
+    if (parsed.isValid) return { hour: parsed.hour, minute: parsed.minute };
+  }
+  return null;
+};
+
+// "7:00 PM - 10:00 PM" -> start/end on the given day (end rolls past midnight)
+const toSession = (day, eventTime) => {
+  const [from, to] = String(eventTime || "").split(/\s*[-–]\s*/);
+  const start = parseTime(from);
+  const end = parseTime(to);
+
+  const startsAt = start ? day.set(start) : day;
+  let endsAt = end ? day.set(end) : null;
+  if (endsAt && endsAt <= startsAt) endsAt = endsAt.plus({ days: 1 });
+
+  return { startsAt: startsAt.toJSDate(), endsAt: endsAt ? endsAt.toJSDate() : null };
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Read raw documents: the legacy fields are no longer in the schema
+  const events = await Event.collection
+    .find({ $or: [{ sessions: { $exists: false } }, { sessions: { $size: 0 } }] })
+    .toArray();
+
+  let migrated = 0;
+  const failed = [];
+
+  for (const event of events) {
+    const timeZone = event.timeZone || DEFAULT_TIME_ZONE;
+    const day = parseDate(event.date, timeZone);
+
+    if (!day) {
+      failed.push(`${event._id} (${event.title}): date "${event.date}"`);
+      continue;
+    }
+
+    const sessionId = new mongoose.Types.ObjectId();
+    const { startsAt, endsAt } = toSession(day, event.eventTime);
+
+    const sold = await Booking.countDocuments({ eventId: event._id, status: { $ne: "Cancelled" } });
+
+    await Event.collection.updateOne(
+      { _id: event._id },
+      {
+        $set: {
+          timeZone,
+          sessions: [{ _id: sessionId, name: null, startsAt, endsAt, capacity: null, sold }],
+          startsAt,
+          endsAt: endsAt || startsAt,
+        },
+        $unset: { date: "", eventTime: "" },
+      }
+    );
+
+    await Booking.updateMany({ eventId: event._id, sessionId: null }, { sessionId });
+
+    migrated += 1;
+    console.log(`Event ${event._id} (${event.title}): ${startsAt.toISOString()}`);
+  }
+
+  console.log(`Migrated ${migrated} event(s)`);
+  if (failed.length) {
+    console.warn(`Could not parse ${failed.length} event(s), set their sessions manually:`);
+    failed.forEach((line) => console.warn(`  ${line}`));
+  }
+};
+
+migrate()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,29 @@
+// One-off migration: events created before draft/publish states existed
+// were all public, so they become published.
+// Safe to run more than once; events that already have a status are skipped.
+//
+//   npm run migrate:event-status
+import dotenv from "dotenv";
+dotenv.config();
+
+import mongoose from "mongoose";
+import Event from "../models/Event.js";
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Raw update: loading them through the model would apply the "draft" default
+  const result = await Event.collection.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: "published", publishedAt: new Date() } }
+  );
+
+  console.log(`Published ${result.modifiedCount} event(s)`);
+};
+
+migrate()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
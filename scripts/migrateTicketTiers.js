@@ -0,0 +1,85 @@
+// One-off migration: turns the old free-text standardPrice/vipPrice fields
+// (plus the per-type capacity/ticketsSold counters) into ticketTiers.
+// Safe to run more than once; events that already have tiers are skipped.
+//
+//   npm run migrate:ticket-tiers
+import dotenv from "dotenv";
+dotenv.config();
+
+import mongoose from "mongoose";
+import Event, { DEFAULT_CURRENCY } from "../models/Event.js";
+import Booking from "../models/Booking.js";
+
+const LEGACY_TYPES = [
+  { name: "Standard", priceField: "standardPrice" },
+  { name: "VIP", priceField: "vipPrice" },
+];
+
+// "Rs. 2,500" -> 250000 (minor units); null when no number is present
+const toMinorUnits = (raw) => {
+  if (raw == null || raw === "") return null;
+  const match = String(raw).replace(/,/g, "").match(/\d+(\.\d+)?/);
+  return match ? Math.round(Number(match[0]) * 100) : null;
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Read raw documents: the legacy fields are no longer in the schema
+  const events = await Event.collection
+    .find({ $or: [{ ticketTiers: { $exists: false } }, { ticketTiers: { $size: 0 } }] })
+    .toArray();
+
+  let migrated = 0;
+
+  for (const event of events) {
+    const soldRows = await Booking.aggregate([
+      { $match: { eventId: event._id, status: { $ne: "Cancelled" } } },
+      { $group: { _id: "$ticketType", count: { $sum: 1 } } },
+    ]);
+    const soldByType = Object.fromEntries(soldRows.map((row) => [row._id, row.count]));
+
+    const ticketTiers = [];
+
+    for (const { name, priceField } of LEGACY_TYPES) {
+      const price = toMinorUnits(event[priceField]);
+      const sold = soldByType[name] || 0;
+      if (price === null && sold === 0) continue;
+
+      if (price === null) {
+        console.warn(`Event ${event._id}: "${name}" has bookings but no price, using 0`);
+      }
+
+      ticketTiers.push({
+        _id: new mongoose.Types.ObjectId(),
+        name,
+        price: price ?? 0,
+        currency: DEFAULT_CURRENCY,
+        salesStart: null,
+        salesEnd: null,
+        capacity: event.capacity?.[name] ?? null,
+        sold,
+      });
+    }
+
+    await Event.collection.updateOne(
+      { _id: event._id },
+      {
+        $set: { ticketTiers },
+        $unset: { standardPrice: "", vipPrice: "", capacity: "", ticketsSold: "" },
+      }
+    );
+
+    migrated += 1;
+    console.log(`Event ${event._id} (${event.title}): ${ticketTiers.map((t) => t.name).join(", ") || "no tiers"}`);
+  }
+
+  console.log(`Migrated ${migrated} event(s)`);
+};
+
+migrate()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
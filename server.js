@@ -8,7 +8,20 @@ import mongoose from "mongoose";
 import eventRoutes from "./routes/eventRoutes.js";
 import adminRoutes from "./routes/adminRoutes.js";
 import bookingRoutes from "./routes/bookingRoutes.js";
+import mediaRoutes from "./routes/mediaRoutes.js";
+import promoRoutes from "./routes/promoRoutes.js";
+import analyticsRoutes from "./routes/analyticsRoutes.js";
+import auditRoutes from "./routes/auditRoutes.js";
+import attendeeRoutes from "./routes/attendeeRoutes.js";
+import orderRoutes from "./routes/orderRoutes.js";
+import waitlistRoutes from "./routes/waitlistRoutes.js";
+import webhookRoutes from "./routes/webhookRoutes.js";
+import { notFoundHandler, errorHandler } from "./middleware/errorHandler.js";
 import path from "path";
+import { startEmailWorker } from "./jobs/emailOutbox.js";
+import { startWaitlistWorker } from "./jobs/waitlistOffers.js";
+import { startReminderWorker } from "./jobs/reminders.js";
+import { startWebhookWorker } from "./jobs/webhooks.js";
 
 
 
@@ -18,6 +31,10 @@ import path from "path";
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a load balancer req.ip (used for rate limits) must come from X-Forwarded-For.
+// TRUST_PROXY is the number of proxies in front of the app, e.g. 1.
+if (process.env.TRUST_PROXY) app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+
 app.use(cors({
   origin: 'https://rangrez-events-front-end.vercel.app', // Specify the front-end URL directly if needed
   credentials: true,
@@ -29,6 +46,14 @@ app.use(express.json());
 
 app.use("/api/events", eventRoutes);
 app.use("/api/admin", adminRoutes);
+app.use("/api/media", mediaRoutes);
+app.use("/api/promo-codes", promoRoutes);
+app.use("/api/analytics", analyticsRoutes);
+app.use("/api/audit", auditRoutes);
+app.use("/api/attendee", attendeeRoutes);
+app.use("/api/orders", orderRoutes);
+app.use("/api/waitlist", waitlistRoutes);
+app.use("/api/webhooks", webhookRoutes);
 app.use("/api", bookingRoutes);
 
 const __dirname = path.resolve();
@@ -39,7 +64,13 @@ app.use("/uploads", express.static(path.join(__dirname, "uploads")));
 
 // MongoDB Connection
 mongoose.connect(process.env.MONGO_URI)
-.then(() => console.log("MongoDB Connected"))
+.then(() => {
+  console.log("MongoDB Connected");
+  startEmailWorker();
+  startWaitlistWorker();
+  startReminderWorker();
+  startWebhookWorker();
+})
 .catch(err => console.log(err));
 
 // Default route
@@ -47,6 +78,10 @@ app.get("/", (req, res) => {
     res.send("Backend is running...");
 });
 
+// Anything not handled above, and errors passed on by routes (see utils/errors.js for the format)
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 // Listen
 app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
@@ -0,0 +1,113 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Admin from "../models/Admin.js";
+import AdminSession from "../models/AdminSession.js";
+
+const ACCESS_TOKEN_MINUTES = Number(process.env.ADMIN_ACCESS_TOKEN_MINUTES || 15);
+const SESSION_TTL_MS = Number(process.env.ADMIN_SESSION_DAYS || 30) * 24 * 60 * 60 * 1000;
+
+export const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const newRefreshToken = () => crypto.randomBytes(32).toString("hex");
+
+/* ----------------------------------------------------
+   ACCESS TOKENS
+   Short-lived JWTs tied to a session, so logging out
+   ends them without waiting for them to expire.
+---------------------------------------------------- */
+const signAccessToken = (admin, session) =>
+  jwt.sign({ id: admin._id, isAdmin: admin.isAdmin, role: admin.role, sid: session._id }, process.env.JWT_SECRET, {
+    subject: "admin",
+    expiresIn: `${ACCESS_TOKEN_MINUTES}m`,
+  });
+
+// What login and refresh answer with
+const tokenResponse = (admin, session, refreshToken) => ({
+  token: signAccessToken(admin, session),
+  expiresIn: ACCESS_TOKEN_MINUTES * 60,
+  refreshToken,
+  refreshExpiresAt: session.expiresAt,
+  role: admin.role,
+});
+
+// The admin behind an access token, or { error } saying why it isn't accepted.
+// Deactivated admins and ended sessions are rejected even if the JWT is still valid.
+export const resolveAdminToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, { subject: "admin" });
+  } catch (err) {
+    return { error: "Invalid token" };
+  }
+  if (!decoded.isAdmin || !decoded.sid) return { error: "Invalid token" };
+
+  const [admin, session] = await Promise.all([
+    Admin.findById(decoded.id).select("role active isAdmin"),
+    AdminSession.findOne({ _id: decoded.sid, adminId: decoded.id }).select("revokedAt expiresAt"),
+  ]);
+
+  if (!admin || !admin.active) return { error: "Account is not active" };
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) return { error: "Session has ended" };
+
+  return { admin: { id: admin._id.toString(), isAdmin: admin.isAdmin, role: admin.role, sessionId: session._id } };
+};
+
+/* ----------------------------------------------------
+   SESSIONS
+---------------------------------------------------- */
+export const startSession = async (admin, req) => {
+  const refreshToken = newRefreshToken();
+
+  const session = await AdminSession.create({
+    adminId: admin._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+    ip: req.ip,
+    userAgent: req.get("user-agent")?.slice(0, 300) || null,
+  });
+
+  return tokenResponse(admin, session, refreshToken);
+};
+
+// Swaps a refresh token for a new pair. Resolves to null when the token
+// isn't accepted; presenting an already rotated token ends that session.
+export const refreshSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const next = newRefreshToken();
+  const now = new Date();
+
+  // Rotating in the same update that checks the token makes it single use
+  const session = await AdminSession.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { tokenHash: hashToken(next), previousTokenHash: tokenHash, lastUsedAt: now, ip: req.ip },
+    { new: true }
+  );
+
+  if (!session) {
+    await AdminSession.updateOne(
+      { previousTokenHash: tokenHash, revokedAt: null },
+      { revokedAt: now, revokedReason: "token_reuse" }
+    );
+    return null;
+  }
+
+  const admin = await Admin.findById(session.adminId);
+  if (!admin || !admin.active) {
+    await AdminSession.updateOne({ _id: session._id }, { revokedAt: now, revokedReason: "deactivated" });
+    return null;
+  }
+
+  return tokenResponse(admin, session, next);
+};
+
+export const endSession = (sessionId, reason = "logout") =>
+  AdminSession.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+
+// Ends every open session of an admin, optionally keeping one (e.g. the one changing the password)
+export const endAdminSessions = async (adminId, reason, { except } = {}) => {
+  const filter = { adminId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  const result = await AdminSession.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
@@ -0,0 +1,67 @@
+import AuditLog from "../models/AuditLog.js";
+
+// Never store secrets in the trail
+const REDACTED_FIELDS = ["password", "tokenHash", "secret"];
+
+// Plain JSON copy of a document (or object) without secrets
+export const snapshot = (doc) => {
+  if (!doc) return null;
+
+  const data = typeof doc.toObject === "function"
+    ? doc.toObject({ depopulate: true, virtuals: false, versionKey: false })
+    : { ...doc };
+
+  for (const field of REDACTED_FIELDS) {
+    if (field in data) data[field] = "[redacted]";
+  }
+  return JSON.parse(JSON.stringify(data));
+};
+
+// Flattens nested objects to dotted paths; arrays are compared as a whole
+const flatten = (value, prefix = "", out = {}) => {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+};
+
+// { path: { from, to } } for every path that differs
+export const diff = (before, after) => {
+  const a = flatten(before || {});
+  const b = flatten(after || {});
+  const changes = {};
+
+  for (const path of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (path === "updatedAt") continue;
+    if (JSON.stringify(a[path]) !== JSON.stringify(b[path])) {
+      changes[path] = { from: a[path] ?? null, to: b[path] ?? null };
+    }
+  }
+  return changes;
+};
+
+// Records one admin action. Called after the change went through, so a
+// failure here is logged rather than failing the request.
+export const recordAudit = async (req, { action, targetType, targetId, before = null, after = null, actor }) => {
+  try {
+    const beforeData = snapshot(before);
+    const afterData = snapshot(after);
+
+    await AuditLog.create({
+      actor: actor ?? req.admin?.id ?? null,
+      action,
+      targetType,
+      targetId: targetId ?? after?._id ?? before?._id,
+      before: beforeData,
+      after: afterData,
+      changes: diff(beforeData, afterData),
+      ip: req.ip,
+    });
+  } catch (err) {
+    console.error("Audit Log Error:", err);
+  }
+};
@@ -0,0 +1,132 @@
+import Booking from "../models/Booking.js";
+import Event from "../models/Event.js";
+import PromoCode from "../models/PromoCode.js";
+import { offerFreedSeats } from "../jobs/waitlistOffers.js";
+import { emitWebhook, bookingPayload } from "../jobs/webhooks.js";
+
+export const BOOKING_STATUSES = ["Pending", "Paid", "Unpaid", "Cancelled"];
+
+// Payment review state machine: status -> statuses it may move to.
+// Pending = receipt awaiting review, Unpaid = receipt rejected (attendee may re-upload).
+export const STATUS_TRANSITIONS = {
+  Pending: ["Paid", "Unpaid", "Cancelled"],
+  Unpaid: ["Pending", "Cancelled"],
+  Paid: ["Cancelled"],
+  Cancelled: ["Pending"],
+};
+
+// Rejecting a receipt must tell the attendee why
+const REASON_REQUIRED = ["Unpaid"];
+
+export const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+// A status change that couldn't be applied. statusCode is the HTTP status to answer with.
+export class BookingStatusError extends Error {
+  constructor(message, { soldOut = false, statusCode = 409 } = {}) {
+    super(message);
+    this.soldOut = soldOut;
+    this.statusCode = statusCode;
+  }
+}
+
+// Throws if `from -> to` isn't allowed or is missing its reason
+export const assertTransition = (from, to, reason) => {
+  if (!BOOKING_STATUSES.includes(to)) throw new BookingStatusError("Invalid status value", { statusCode: 400 });
+  if (!canTransition(from, to)) {
+    throw new BookingStatusError(`A ${from} booking can't be moved to ${to}`, { statusCode: 400 });
+  }
+  if (REASON_REQUIRED.includes(to) && !reason) {
+    throw new BookingStatusError(`A reason is required to mark a booking ${to}`, { statusCode: 400 });
+  }
+};
+
+// A promo use belongs to the booking, or to the order for group orders: cancelling
+// gives it back and reinstating takes it again. retakePromoUse returns false when
+// the code has been used up (or switched off) in the meantime.
+export const returnPromoUse = async (code) => {
+  const promo = code && (await PromoCode.findOne({ code }));
+  if (promo) await PromoCode.unredeem(promo._id);
+};
+
+export const retakePromoUse = async (code) => {
+  const promo = code && (await PromoCode.findOne({ code }));
+  return !promo || Boolean(await PromoCode.redeem(promo._id));
+};
+
+// Moves a booking to a new status, keeping the event's seat counts in step,
+// and records the change (with who, when and why) in the booking's history.
+// Returns the updated booking.
+export const changeBookingStatus = async (
+  booking,
+  status,
+  { actorType = "admin", actorId = null, reason = null, note } = {}
+) => {
+  assertTransition(booking.status, status, reason);
+
+  const wasCancelled = booking.status === "Cancelled";
+  const isCancelled = status === "Cancelled";
+  // Group order tickets share the order's promo use, the order route handles it
+  const promoCode = booking.orderId ? null : booking.promoCode;
+
+  // Re-activating a cancelled booking needs its seat back
+  if (wasCancelled && !isCancelled) {
+    if (await Event.exists({ _id: booking.eventId, status: "cancelled" }))
+      throw new BookingStatusError("The event has been cancelled");
+
+    const reserved = await Event.reserveSeat(booking.eventId, booking.ticketType, booking.sessionId);
+    if (!reserved) throw new BookingStatusError(`${booking.ticketType} tickets are sold out`, { soldOut: true });
+
+    if (!(await retakePromoUse(promoCode))) {
+      await Event.releaseSeat(booking.eventId, booking.ticketType, booking.sessionId);
+      throw new BookingStatusError(`Promo code ${promoCode} can no longer be used`);
+    }
+  }
+
+  const update = {
+    status,
+    $push: {
+      history: {
+        type: "status_change",
+        actorType,
+        actorId,
+        note,
+        details: { from: booking.status, to: status, reason },
+      },
+    },
+  };
+
+  // Reviewer decisions on the receipt
+  if (actorType === "admin" && ["Paid", "Unpaid"].includes(status)) {
+    update.reviewedBy = actorId;
+    update.reviewedAt = new Date();
+  }
+  if (status === "Unpaid") update.rejectionReason = reason;
+  if (status === "Paid" || status === "Pending") update.rejectionReason = null;
+
+  // Only apply the change if nobody else changed the status in between
+  const updated = await Booking.findOneAndUpdate({ _id: booking._id, status: booking.status }, update, { new: true });
+
+  if (!updated) {
+    if (wasCancelled && !isCancelled) {
+      await Event.releaseSeat(booking.eventId, booking.ticketType, booking.sessionId);
+      await returnPromoUse(promoCode);
+    }
+    throw new BookingStatusError("Booking status changed meanwhile, please retry");
+  }
+
+  // The freed seat goes to the waitlist first
+  if (!wasCancelled && isCancelled) {
+    await Event.releaseSeat(booking.eventId, booking.ticketType, booking.sessionId);
+    await returnPromoUse(promoCode);
+    await offerFreedSeats(booking.eventId).catch((err) => console.error("Waitlist Error:", err));
+  }
+
+  await emitWebhook("booking.status_changed", {
+    booking: bookingPayload(updated),
+    from: booking.status,
+    to: status,
+    reason,
+  });
+
+  return updated;
+};
@@ -1,20 +0,0 @@
-import { v2 as cloudinary } from "cloudinary";
-import { CloudinaryStorage } from "multer-storage-cloudinary";
-
-// Cloudinary Config
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
-// Storage Engine
-const storage = new CloudinaryStorage({
-  cloudinary,
-  params: {
-    folder: "rangrez-tickets",
-    allowed_formats: ["jpg", "jpeg", "png"],
-  },
-});
-
-export default storage;
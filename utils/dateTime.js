@@ -0,0 +1,28 @@
+import { DateTime } from "luxon";
+
+export const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || "Asia/Karachi";
+
+export const isValidTimeZone = (zone) => DateTime.local().setZone(zone).isValid;
+
+// Parses an ISO date-time from a form. Values without an offset
+// ("2026-03-14T19:00") are read as wall-clock time in the event's zone.
+export const parseEventDateTime = (value, zone = DEFAULT_TIME_ZONE) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (value instanceof Date) return value;
+
+  const parsed = DateTime.fromISO(String(value), { zone });
+  if (!parsed.isValid) throw new Error(`Invalid date-time "${value}"`);
+  return parsed.toJSDate();
+};
+
+// "Sat, 14 Mar 2026"
+export const formatDate = (date, zone = DEFAULT_TIME_ZONE) =>
+  date ? DateTime.fromJSDate(date).setZone(zone).toFormat("ccc, d LLL yyyy") : "";
+
+// "7:00 PM - 10:00 PM" (end omitted when unknown)
+export const formatTimeRange = (start, end, zone = DEFAULT_TIME_ZONE) => {
+  if (!start) return "";
+  const from = DateTime.fromJSDate(start).setZone(zone).toFormat("h:mm a");
+  if (!end) return from;
+  return `${from} - ${DateTime.fromJSDate(end).setZone(zone).toFormat("h:mm a")}`;
+};
@@ -0,0 +1,30 @@
+import Booking from "../models/Booking.js";
+import Order from "../models/Order.js";
+import { exactRegex } from "./query.js";
+
+const WINDOW_MS = Number(process.env.DUPLICATE_BOOKING_WINDOW_MINUTES || 10) * 60 * 1000;
+const MAX_PER_WINDOW = Number(process.env.DUPLICATE_BOOKING_LIMIT || 3);
+
+/* ----------------------------------------------------
+   DUPLICATE BOOKING CHECK
+   How many bookings (or orders - one each) an email address
+   made for this event recently. Cancelled ones don't count.
+   Returns the seconds until another is allowed, or 0.
+---------------------------------------------------- */
+export const duplicateBookingRetryAfter = async (eventId, emailAddress) => {
+  const since = new Date(Date.now() - WINDOW_MS);
+  const email = exactRegex(String(emailAddress).trim());
+  const recent = { eventId, status: { $ne: "Cancelled" }, createdAt: { $gte: since } };
+
+  const [bookings, orders] = await Promise.all([
+    Booking.find({ ...recent, orderId: null, emailAddress: email }).select("createdAt").sort({ createdAt: 1 }),
+    Order.find({ ...recent, "purchaser.emailAddress": email }).select("createdAt").sort({ createdAt: 1 }),
+  ]);
+
+  const times = [...bookings, ...orders].map((doc) => doc.createdAt.getTime()).sort((a, b) => a - b);
+  if (times.length < MAX_PER_WINDOW) return 0;
+
+  // Another one is allowed once enough of these have left the window
+  const freesUpAt = times[times.length - MAX_PER_WINDOW] + WINDOW_MS;
+  return Math.max(1, Math.ceil((freesUpAt - Date.now()) / 1000));
+};
@@ -0,0 +1,393 @@
+import QRCode from "qrcode";
+import { ticketVerificationURL } from "./ticketToken.js";
+import { renderTicketPdf } from "./ticketPdf.js";
+import { formatDate, formatTimeRange } from "./dateTime.js";
+
+/* ----------------------------------------------------
+   EMAIL TEMPLATES
+   Each template takes a booking (with eventId populated)
+   and returns { subject, html, attachments }.
+---------------------------------------------------- */
+
+// Anything people typed (names, cities, reasons, event details) is escaped before it
+// goes into the HTML, so nobody can make us send their own markup or links
+export const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// Subjects are plain text: no HTML entities, but no line breaks or markup either
+const subjectText = (value) => String(value ?? "").replace(/[\r\n\t<>]+/g, " ").trim();
+
+// Shared outer layout: dark header with the event title, white card body.
+// title and subtitle are escaped here; body is HTML the templates built.
+const layout = (title, subtitle, body, footer) => `
+<!DOCTYPE html>
+<html>
+<body style="margin:0; padding:0; background:#f4f4f4; font-family:Arial, sans-serif;">
+
+<table width="100%" cellpadding="0" cellspacing="0" style="padding:20px 0;">
+<tr><td align="center">
+
+<table width="600" cellpadding="0" cellspacing="0" style="background:#ffffff; border-radius:6px; overflow:hidden;">
+
+  <tr>
+    <td style="background:#222831; text-align:center; padding:24px;">
+      <h2 style="color:#fff; margin:0; font-size:22px;">${escapeHtml(title)}</h2>
+      <p style="color:#ccc; margin:6px 0 0;">${escapeHtml(subtitle)}</p>
+    </td>
+  </tr>
+
+  <tr>
+    <td style="padding:20px;">
+${body}
+    </td>
+  </tr>
+
+  <tr>
+    <td style="background:#f7f7f7; text-align:center; padding:12px; color:#777; font-size:12px;">
+      ${footer}
+    </td>
+  </tr>
+
+</table>
+
+</td></tr>
+</table>
+
+</body>
+</html>
+`;
+
+/* ----------------------------------------------------
+   TICKET WITH INLINE QR CODE (CID)
+---------------------------------------------------- */
+export const ticketEmail = async (booking) => {
+  const session = booking.bookedSession() || {};
+
+  // Generate QR code as a Buffer (NOT Base64) carrying the signed ticket token
+  const qrBuffer = await QRCode.toBuffer(ticketVerificationURL(booking), {
+    margin: 2,
+    scale: 6,
+  });
+
+  const body = `
+      <table width="100%" cellpadding="0" cellspacing="0" style="border:1px solid #e0e0e0; border-radius:6px;">
+        <tr valign="top">
+
+          <td style="padding:16px; width:65%; font-size:14px;">
+            <p><strong>Ticket No:</strong> ${escapeHtml(booking.ticketNumber)}</p>
+            <p><strong>Name:</strong> ${escapeHtml(booking.firstName)} ${escapeHtml(booking.lastName)}</p>
+            <p><strong>Category:</strong> ${escapeHtml(booking.ticketType)}</p>
+            <p><strong>City:</strong> ${escapeHtml(booking.cityName)}</p>
+            ${session.name ? `<p><strong>Session:</strong> ${escapeHtml(session.name)}</p>` : ""}
+            <p><strong>Date:</strong> ${escapeHtml(session.date || "")}</p>
+            <p><strong>Time:</strong> ${escapeHtml(session.time || "")}</p>
+            <p><strong>Location:</strong> ${escapeHtml(booking.eventId?.address)}</p>
+          </td>
+
+          <td style="padding:16px; text-align:center; width:35%;">
+            <p style="font-size:11px; margin-bottom:6px; color:#666;">Scan QR to verify</p>
+
+            <!-- INLINE ATTACHMENT QR -->
+            <img src="cid:qrCodeImg" width="140" height="140" alt="QR Code" style="display:block;">
+          </td>
+
+        </tr>
+      </table>
+
+      <p style="margin-top:16px; font-size:12px; color:#666; text-align:center;">
+        Please show this ticket at the entry gate. Valid for one person only.
+      </p>
+`;
+
+  return {
+    subject: "Your Ticket",
+    html: layout(booking.eventId?.title, "Your Entry Pass", body, "Thank you for your purchase!"),
+    attachments: [
+      {
+        filename: "qrcode.png",
+        content: qrBuffer,
+        cid: "qrCodeImg", // MUST match img src="cid:qrCodeImg"
+      },
+      {
+        filename: `ticket-${booking.ticketNumber}.pdf`,
+        content: await renderTicketPdf(booking),
+        contentType: "application/pdf",
+      },
+    ],
+  };
+};
+
+/* ----------------------------------------------------
+   BOOKING RECEIVED (PAYMENT UNDER REVIEW)
+---------------------------------------------------- */
+export const bookingReceivedEmail = async (booking) => {
+  const session = booking.bookedSession() || {};
+
+  const body = `
+      <p style="font-size:14px;">Hi ${escapeHtml(booking.firstName)},</p>
+      <p style="font-size:14px;">
+        We have received your <strong>${escapeHtml(booking.ticketType)}</strong> booking and your payment receipt.
+        Our team will review it shortly and send your ticket once the payment is confirmed.
+      </p>
+      <p style="font-size:14px;"><strong>Booking reference:</strong> ${escapeHtml(booking.ticketNumber)}</p>
+      <p style="font-size:14px;"><strong>Date:</strong> ${escapeHtml(session.date || "")} ${escapeHtml(session.time || "")}</p>
+`;
+
+  return {
+    subject: `We received your booking for ${subjectText(booking.eventId?.title)}`,
+    html: layout(booking.eventId?.title, "Booking Received", body, "Thank you for booking with us!"),
+    attachments: [],
+  };
+};
+
+/* ----------------------------------------------------
+   PAYMENT RECEIPT REJECTED
+---------------------------------------------------- */
+export const paymentRejectedEmail = async (booking, { name } = {}) => {
+  const body = `
+      <p style="font-size:14px;">Hi ${escapeHtml(name || booking.firstName)},</p>
+      <p style="font-size:14px;">
+        We couldn't confirm the payment for your <strong>${escapeHtml(booking.ticketType)}</strong> booking
+        (reference <strong>${escapeHtml(booking.ticketNumber)}</strong>).
+      </p>
+      <p style="font-size:14px;"><strong>Reason:</strong> ${escapeHtml(booking.rejectionReason || "Not given")}</p>
+      <p style="font-size:14px;">
+        You can upload a new payment receipt from the <a href="${escapeHtml(process.env.CLIENT_URI)}/my-booking">manage booking</a> page.
+      </p>
+`;
+
+  return {
+    subject: `Action needed: payment for ${subjectText(booking.eventId?.title)}`,
+    html: layout(booking.eventId?.title, "Payment Not Confirmed", body, "Thank you for booking with us!"),
+    attachments: [],
+  };
+};
+
+/* ----------------------------------------------------
+   GROUP ORDER RECEIVED (SENT TO THE PURCHASER)
+---------------------------------------------------- */
+export const orderReceivedEmail = async (booking, { purchaserName, tickets = [] }) => {
+  const session = booking.bookedSession() || {};
+  const rows = tickets
+    .map(
+      (ticket) => `
+          <tr>
+            <td style="padding:6px; border-bottom:1px solid #eee;">${escapeHtml(ticket.ticketNumber)}</td>
+            <td style="padding:6px; border-bottom:1px solid #eee;">${escapeHtml(ticket.name)}</td>
+            <td style="padding:6px; border-bottom:1px solid #eee;">${escapeHtml(ticket.ticketType)}</td>
+          </tr>`
+    )
+    .join("");
+
+  const body = `
+      <p style="font-size:14px;">Hi ${escapeHtml(purchaserName)},</p>
+      <p style="font-size:14px;">
+        We have received your order for <strong>${escapeHtml(tickets.length)}</strong> tickets and your payment receipt.
+        Each attendee will get their own ticket once the payment is confirmed.
+      </p>
+      <p style="font-size:14px;"><strong>Date:</strong> ${escapeHtml(session.date || "")} ${escapeHtml(session.time || "")}</p>
+      <table width="100%" cellpadding="0" cellspacing="0" style="font-size:13px;">${rows}
+      </table>
+`;
+
+  return {
+    subject: `We received your order for ${subjectText(booking.eventId?.title)}`,
+    html: layout(booking.eventId?.title, "Order Received", body, "Thank you for booking with us!"),
+    attachments: [],
+  };
+};
+
+/* ----------------------------------------------------
+   ONE-TIME ACCESS CODE (ATTENDEE SELF-SERVICE)
+---------------------------------------------------- */
+export const accessCodeEmail = async (booking, { code }) => {
+  const body = `
+      <p style="font-size:14px;">Hi ${escapeHtml(booking.firstName)},</p>
+      <p style="font-size:14px;">Use this code to manage your booking <strong>${escapeHtml(booking.ticketNumber)}</strong>:</p>
+      <p style="font-size:28px; letter-spacing:6px; text-align:center; margin:20px 0;"><strong>${escapeHtml(code)}</strong></p>
+      <p style="font-size:12px; color:#666;">The code expires in 10 minutes. If you didn't ask for it, you can ignore this email.</p>
+`;
+
+  return {
+    subject: "Your booking access code",
+    html: layout(booking.eventId?.title, "Manage Your Booking", body, "Thank you for booking with us!"),
+    attachments: [],
+  };
+};
+
+/* ----------------------------------------------------
+   TICKET TRANSFERRED AWAY (SENT TO THE PREVIOUS HOLDER)
+---------------------------------------------------- */
+export const ticketTransferredEmail = async (booking, { previousName, newName }) => {
+  const body = `
+      <p style="font-size:14px;">Hi ${escapeHtml(previousName)},</p>
+      <p style="font-size:14px;">
+        Your ticket has been transferred to <strong>${escapeHtml(newName)}</strong>.
+        Your previous ticket and QR code are no longer valid.
+      </p>
+      <p style="font-size:12px; color:#666;">If you didn't make this change, please contact us right away.</p>
+`;
+
+  return {
+    subject: `Your ticket for ${subjectText(booking.eventId?.title)} was transferred`,
+    html: layout(booking.eventId?.title, "Ticket Transferred", body, "Thank you for booking with us!"),
+    attachments: [],
+  };
+};
+
+/* ----------------------------------------------------
+   WAITLIST: A SEAT IS AVAILABLE
+---------------------------------------------------- */
+export const waitlistOfferEmail = async (entry, { claimURL, expiresAt }) => {
+  const zone = entry.eventId?.timeZone;
+  const deadline = new Date(expiresAt);
+
+  const body = `
+      <p style="font-size:14px;">Hi ${escapeHtml(entry.firstName)},</p>
+      <p style="font-size:14px;">
+        Good news! A <strong>${escapeHtml(entry.ticketType)}</strong> seat has opened up and we are holding it for you.
+      </p>
+      <p style="text-align:center; margin:24px 0;">
+        <a href="${escapeHtml(claimURL)}" style="background:#222831; color:#ffffff; padding:12px 24px; border-radius:4px; text-decoration:none;">Claim your seat</a>
+      </p>
+      <p style="font-size:12px; color:#666;">
+        This offer expires on ${escapeHtml(formatDate(deadline, zone))} at ${escapeHtml(formatTimeRange(deadline, null, zone))}.
+        After that the seat goes to the next person on the waitlist.
+      </p>
+`;
+
+  return {
+    subject: `A seat is available for ${subjectText(entry.eventId?.title)}`,
+    html: layout(entry.eventId?.title, "You're Off the Waitlist", body, "Thank you for your patience!"),
+    attachments: [],
+  };
+};
+
+/* ----------------------------------------------------
+   REMINDER BEFORE THE EVENT
+---------------------------------------------------- */
+// 24 -> "1 day", 6 -> "6 hours"
+const describeHours = (hours) => {
+  if (hours % 24 === 0) return hours === 24 ? "1 day" : `${hours / 24} days`;
+  return hours === 1 ? "1 hour" : `${hours} hours`;
+};
+
+export const eventReminderEmail = async (booking, { hoursBefore }) => {
+  const session = booking.bookedSession() || {};
+  const event = booking.eventId || {};
+
+  const body = `
+      <p style="font-size:14px;">Hi ${escapeHtml(booking.firstName)},</p>
+      <p style="font-size:14px;">
+        Just a reminder that <strong>${escapeHtml(event.title)}</strong> is coming up in ${escapeHtml(describeHours(hoursBefore))}.
+      </p>
+      <p style="font-size:14px;"><strong>Date:</strong> ${escapeHtml(session.date || "")}</p>
+      <p style="font-size:14px;"><strong>Time:</strong> ${escapeHtml(session.time || "")}</p>
+      <p style="font-size:14px;"><strong>Venue:</strong> ${escapeHtml(event.address || "")}</p>
+      <p style="font-size:14px;">
+        Please bring the <strong>${escapeHtml(booking.ticketType)}</strong> ticket we emailed you
+        (ticket number <strong>${escapeHtml(booking.ticketNumber)}</strong>) so it can be scanned at the gate.
+      </p>
+`;
+
+  return {
+    subject: `Reminder: ${subjectText(event.title)} is in ${describeHours(hoursBefore)}`,
+    html: layout(event.title, "See You Soon", body, "Thank you for booking with us!"),
+    attachments: [],
+  };
+};
+
+/* ----------------------------------------------------
+   THANK YOU / FEEDBACK AFTER THE EVENT
+---------------------------------------------------- */
+export const eventFollowUpEmail = async (booking) => {
+  const event = booking.eventId || {};
+  const settings = event.reminders || {};
+
+  const feedback = settings.feedbackURL
+    ? `
+      <p style="text-align:center; margin:24px 0;">
+        <a href="${escapeHtml(settings.feedbackURL)}" style="background:#222831; color:#ffffff; padding:12px 24px; border-radius:4px; text-decoration:none;">Share your feedback</a>
+      </p>`
+    : "";
+
+  const body = `
+      <p style="font-size:14px;">Hi ${escapeHtml(booking.firstName)},</p>
+      <p style="font-size:14px;">${
+        settings.followUpMessage
+          ? escapeHtml(settings.followUpMessage)
+          : `Thank you for coming to <strong>${escapeHtml(event.title)}</strong>! We hope you enjoyed it.`
+      }</p>${feedback}
+`;
+
+  return {
+    subject: `Thank you for attending ${subjectText(event.title)}`,
+    html: layout(event.title, "Thank You", body, "We hope to see you again!"),
+    attachments: [],
+  };
+};
+
+/* ----------------------------------------------------
+   EVENT CANCELLED (SENT TO EVERY ATTENDEE)
+---------------------------------------------------- */
+export const eventCancelledEmail = async (booking, { reason } = {}) => {
+  const session = booking.bookedSession() || {};
+  const event = booking.eventId || {};
+
+  const body = `
+      <p style="font-size:14px;">Hi ${escapeHtml(booking.firstName)},</p>
+      <p style="font-size:14px;">
+        We're sorry to let you know that <strong>${escapeHtml(event.title)}</strong>
+        ${session.date ? `on ${escapeHtml(session.date)}` : ""} has been cancelled.
+      </p>
+      ${reason ? `<p style="font-size:14px;"><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ""}
+      <p style="font-size:14px;">
+        Your <strong>${escapeHtml(booking.ticketType)}</strong> ticket (number <strong>${escapeHtml(booking.ticketNumber)}</strong>) is no longer valid.
+        If you have already paid, our team will contact you about a refund.
+      </p>
+`;
+
+  return {
+    subject: `Cancelled: ${subjectText(event.title)}`,
+    html: layout(event.title, "Event Cancelled", body, "We apologise for the inconvenience."),
+    attachments: [],
+  };
+};
+
+/* ----------------------------------------------------
+   ADMIN: PASSWORD RESET LINK
+---------------------------------------------------- */
+export const adminPasswordResetEmail = async (admin, { resetURL, expiresInMinutes }) => {
+  const body = `
+      <p style="font-size:14px;">Hi ${escapeHtml(admin.name)},</p>
+      <p style="font-size:14px;">Someone asked to reset the password of your admin account. Use the button below to choose a new one.</p>
+      <p style="text-align:center; margin:24px 0;">
+        <a href="${escapeHtml(resetURL)}" style="background:#222831; color:#ffffff; padding:12px 24px; border-radius:4px; text-decoration:none;">Reset password</a>
+      </p>
+      <p style="font-size:12px; color:#666;">
+        The link expires in ${escapeHtml(expiresInMinutes)} minutes and can only be used once.
+        If you didn't ask for it, you can ignore this email.
+      </p>
+`;
+
+  return {
+    subject: "Reset your admin password",
+    html: layout("Password Reset", "Admin Account", body, "Resetting your password signs you out everywhere."),
+    attachments: [],
+  };
+};
+
+// Template lookup used by the email outbox
+export const templates = {
+  ticket: ticketEmail,
+  "booking-received": bookingReceivedEmail,
+  "order-received": orderReceivedEmail,
+  "payment-rejected": paymentRejectedEmail,
+  "access-code": accessCodeEmail,
+  "ticket-transferred": ticketTransferredEmail,
+  "waitlist-offer": waitlistOfferEmail,
+  "event-reminder": eventReminderEmail,
+  "event-follow-up": eventFollowUpEmail,
+  "event-cancelled": eventCancelledEmail,
+  "admin-password-reset": adminPasswordResetEmail,
+};
@@ -0,0 +1,52 @@
+// Every error response has the same JSON shape:
+//
+//   {
+//     "message": "Validation failed",          // human readable
+//     "code": "VALIDATION_ERROR",              // stable, for clients to branch on
+//     "errors": [                              // only for validation errors
+//       { "field": "body.eventId", "message": "Invalid ID", "code": "invalid_format" }
+//     ]
+//   }
+//
+// Some responses add context next to these (e.g. soldOut, allowed).
+// 429 responses also carry retryAfter (seconds) and a Retry-After header.
+
+// Default code for each HTTP status
+export const ERROR_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  410: "GONE",
+  413: "PAYLOAD_TOO_LARGE",
+  415: "UNSUPPORTED_MEDIA_TYPE",
+  429: "TOO_MANY_REQUESTS",
+  500: "INTERNAL_ERROR",
+};
+
+// An error with a known HTTP status, rendered by middleware/errorHandler.js
+export class AppError extends Error {
+  constructor(status, message, { code, errors, ...extra } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code || ERROR_CODES[status] || "ERROR";
+    this.errors = errors;
+    this.extra = extra;
+  }
+}
+
+export const errorBody = (status, message, { code, errors, ...extra } = {}) => ({
+  message,
+  code: code || ERROR_CODES[status] || "ERROR",
+  ...(errors ? { errors } : {}),
+  ...extra,
+});
+
+export const sendError = (res, status, message, extra) => res.status(status).json(errorBody(status, message, extra));
+
+// 429 with a Retry-After header (and the same number of seconds in the body)
+export const sendTooManyRequests = (res, retryAfter, message, extra) => {
+  res.set("Retry-After", String(retryAfter));
+  return sendError(res, 429, message, { retryAfter, ...extra });
+};
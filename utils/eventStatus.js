@@ -0,0 +1,123 @@
+import Event, { EVENT_STATUSES } from "../models/Event.js";
+import Booking from "../models/Booking.js";
+import Order from "../models/Order.js";
+import WaitlistEntry from "../models/WaitlistEntry.js";
+import { enqueueEmail } from "../jobs/emailOutbox.js";
+import { withdrawOffer } from "../jobs/waitlistOffers.js";
+import { emitWebhook, eventPayload } from "../jobs/webhooks.js";
+import { BookingStatusError, changeBookingStatus, returnPromoUse } from "./bookingStatus.js";
+
+// Event lifecycle: status -> statuses it may move to.
+// Unpublishing back to draft is only allowed while nobody has booked.
+export const EVENT_STATUS_TRANSITIONS = {
+  draft: ["published", "archived"],
+  published: ["draft", "archived", "cancelled"],
+  archived: ["published"],
+  cancelled: [],
+};
+
+// Timestamp set when an event enters each status
+const STATUS_TIMESTAMPS = {
+  published: "publishedAt",
+  archived: "archivedAt",
+  cancelled: "cancelledAt",
+};
+
+// A status change that couldn't be applied. statusCode is the HTTP status to answer with.
+export class EventStatusError extends Error {
+  constructor(message, { statusCode = 409 } = {}) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+// Throws if `from -> to` isn't allowed or is missing its reason
+export const assertEventTransition = (from, to, reason) => {
+  if (!EVENT_STATUSES.includes(to)) throw new EventStatusError("Invalid status value", { statusCode: 400 });
+  if (!(EVENT_STATUS_TRANSITIONS[from] || []).includes(to)) {
+    throw new EventStatusError(`A ${from} event can't be moved to ${to}`, { statusCode: 400 });
+  }
+  if (to === "cancelled" && !reason) {
+    throw new EventStatusError("A reason is required to cancel an event", { statusCode: 400 });
+  }
+};
+
+/* ----------------------------------------------------
+   CANCELLATION CASCADE
+   Cancels every active booking (freeing its seat), closes the
+   event's orders and waitlist, and emails each attendee.
+   Returns { cancelled, failed } booking counts.
+---------------------------------------------------- */
+const cancelEventBookings = async (event, { actorId, reason }) => {
+  const waitlist = await WaitlistEntry.find({ eventId: event._id, status: { $in: ["waiting", "offered"] } });
+  for (const entry of waitlist) {
+    if (entry.status === "offered") await withdrawOffer(entry, "removed");
+    else await WaitlistEntry.updateOne({ _id: entry._id, status: "waiting" }, { status: "removed" });
+  }
+
+  const bookings = await Booking.find({ eventId: event._id, status: { $ne: "Cancelled" } });
+  let cancelled = 0;
+  const failed = [];
+
+  for (const booking of bookings) {
+    try {
+      const updated = await changeBookingStatus(booking, "Cancelled", {
+        actorType: "admin",
+        actorId,
+        reason,
+        note: "Event cancelled",
+      });
+      cancelled++;
+
+      await enqueueEmail({
+        type: "event-cancelled",
+        booking: updated,
+        data: { reason },
+        dedupeKey: `event-cancelled:${updated._id}`,
+      }).catch((err) => console.error("Email Queue Error:", err));
+    } catch (err) {
+      if (!(err instanceof BookingStatusError)) throw err;
+      failed.push({ bookingId: booking._id, ticketNumber: booking.ticketNumber, message: err.message });
+    }
+  }
+
+  // Each order gives back its promo use once, whoever cancels it first
+  const orders = await Order.find({ eventId: event._id, status: { $ne: "Cancelled" } });
+  for (const order of orders) {
+    const closed = await Order.findOneAndUpdate({ _id: order._id, status: order.status }, { status: "Cancelled" });
+    if (closed) await returnPromoUse(closed.promoCode);
+  }
+
+  return { cancelled, failed };
+};
+
+/* ----------------------------------------------------
+   CHANGE AN EVENT'S STATUS
+   Returns { event, cancelled?, failed? } - the booking
+   counts only for a cancellation.
+---------------------------------------------------- */
+export const changeEventStatus = async (event, status, { actorId = null, reason = null } = {}) => {
+  assertEventTransition(event.status, status, reason);
+
+  if (status === "draft" && (await Booking.exists({ eventId: event._id }))) {
+    throw new EventStatusError("An event with bookings can't go back to draft, archive it instead");
+  }
+  if (status === "published" && !event.sessions.length) {
+    throw new EventStatusError("Add at least one session before publishing", { statusCode: 400 });
+  }
+
+  const update = { status };
+  if (STATUS_TIMESTAMPS[status]) update[STATUS_TIMESTAMPS[status]] = new Date();
+  if (status === "cancelled") update.cancellationReason = reason;
+
+  // Only apply the change if nobody else changed the status in between
+  const updated = await Event.findOneAndUpdate({ _id: event._id, status: event.status }, update, { new: true });
+  if (!updated) throw new EventStatusError("Event status changed meanwhile, please retry");
+
+  const result = { event: updated };
+  if (status === "cancelled") Object.assign(result, await cancelEventBookings(updated, { actorId, reason }));
+
+  await emitWebhook("event.status_changed", { event: eventPayload(updated), from: event.status, to: status, reason });
+
+  return result;
+};
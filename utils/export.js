@@ -0,0 +1,50 @@
+import ExcelJS from "exceljs";
+
+/* ----------------------------------------------------
+   TABULAR EXPORTS (CSV / XLSX)
+   columns: [{ header: "Email", value: (row) => row.emailAddress, width? }]
+---------------------------------------------------- */
+
+// Spreadsheet apps run CSV cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (columns, rows) => {
+  const lines = [columns.map((column) => csvCell(column.header)).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvCell(column.value(row))).join(","));
+  }
+  // BOM so Excel opens UTF-8 names correctly
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+};
+
+export const toXlsx = async (columns, rows, sheetName = "Export") => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+
+  sheet.columns = columns.map((column, index) => ({
+    header: column.header,
+    key: String(index),
+    width: column.width || 18,
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  for (const row of rows) {
+    // Strings are written as typed string cells, which Excel never runs as formulas
+    const values = {};
+    columns.forEach((column, index) => {
+      values[index] = column.value(row) ?? null;
+    });
+    sheet.addRow(values);
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
@@ -0,0 +1,52 @@
+import nodemailer from "nodemailer";
+
+/* ----------------------------------------------------
+   MAIL TRANSPORT
+   MAIL_TRANSPORT=gmail (default) | smtp | json
+   - smtp: any SMTP server, e.g. Mailpit/MailHog on localhost:1025 in development
+   - json: nothing is sent, only the recipient and subject are logged
+---------------------------------------------------- */
+let transporter;
+
+const createTransporter = () => {
+  switch (process.env.MAIL_TRANSPORT || "gmail") {
+    case "smtp":
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST || "localhost",
+        port: Number(process.env.SMTP_PORT || 1025),
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+      });
+    case "json":
+      return nodemailer.createTransport({ jsonTransport: true });
+    case "gmail":
+      return nodemailer.createTransport({
+        service: "gmail",
+        auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS },
+      });
+    default:
+      throw new Error(`Unknown mail transport "${process.env.MAIL_TRANSPORT}"`);
+  }
+};
+
+// The transporter is built once and reused for every message
+export const getTransporter = () => {
+  if (!transporter) transporter = createTransporter();
+  return transporter;
+};
+
+export const sendMail = async (message) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.MAIL_FROM || `"Event Ticket" <${process.env.EMAIL_USER}>`,
+    ...message,
+  });
+
+  // Only the envelope is logged: bodies carry access codes and reset/invitation links
+  if (process.env.MAIL_TRANSPORT === "json") {
+    console.log("Mail (json transport):", { to: message.to, subject: message.subject, messageId: info.messageId });
+  }
+
+  return info;
+};
@@ -0,0 +1,104 @@
+import sharp from "sharp";
+import { uploadFile, removeFile } from "./storage/index.js";
+
+/* ----------------------------------------------------
+   UPLOADED MEDIA
+   Files are checked by their content, not the name or
+   type the client sent. Images are re-encoded, which
+   drops EXIF and other metadata (camera, GPS location).
+---------------------------------------------------- */
+
+// Accepted content types -> label used in error messages
+export const IMAGE_TYPES = { "image/jpeg": "JPEG", "image/png": "PNG", "image/webp": "WebP" };
+export const RECEIPT_TYPES = { ...IMAGE_TYPES, "application/pdf": "PDF" };
+
+// Refuse decompression bombs: small files that decode to huge images
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000;
+
+// Event images are stored in these sizes; imageUrl/imageKey point at "large"
+export const EVENT_IMAGE_VARIANTS = [
+  { name: "large", width: 1600, height: 1600, fit: "inside" },
+  { name: "medium", width: 800, height: 800, fit: "inside" },
+  { name: "thumbnail", width: 400, height: 225, fit: "cover" },
+];
+
+const SPONSOR_LOGO_SIZE = { width: 600, height: 600, fit: "inside" };
+
+// Receipts stay big enough to read the payment details
+const RECEIPT_SIZE = { width: 2400, height: 2400, fit: "inside" };
+
+// The content type from the file's first bytes, or null if it isn't one we know
+export const sniffFileType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg";
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "image/png";
+  if (buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") return "image/webp";
+  if (buffer.toString("ascii", 0, 5) === "%PDF-") return "application/pdf";
+  return null;
+};
+
+const openImage = (buffer) => sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS, failOn: "error" });
+
+// Throws if the image can't be decoded or is too large once decoded
+export const assertReadableImage = async (buffer) => {
+  const { width, height } = await openImage(buffer).metadata();
+  if (!width || !height) throw new Error("Image has no size");
+};
+
+// Upright (EXIF orientation applied), resized and without metadata.
+// Resolves to { key, url, width, height }.
+const storeRendered = async (buffer, folder, { width, height, fit }, { format = "webp", isPrivate = false } = {}) => {
+  const image = openImage(buffer).rotate().resize({ width, height, fit, withoutEnlargement: true });
+  const encoded = format === "jpeg" ? image.jpeg({ quality: 85, mozjpeg: true }) : image.webp({ quality: 82 });
+  const { data, info } = await encoded.toBuffer({ resolveWithObject: true });
+
+  const stored = await uploadFile(data, {
+    folder,
+    filename: `image.${format === "jpeg" ? "jpg" : "webp"}`,
+    contentType: `image/${format}`,
+    isPrivate,
+  });
+  return { ...stored, width: info.width, height: info.height };
+};
+
+/* ----------------------------------------------------
+   STORE
+---------------------------------------------------- */
+
+// Every size of an event image. Resolves to { imageUrl, imageKey, imageVariants }.
+export const storeEventImage = async (file) => {
+  const imageVariants = [];
+
+  try {
+    for (const variant of EVENT_IMAGE_VARIANTS) {
+      imageVariants.push({ name: variant.name, ...(await storeRendered(file.buffer, "events", variant)) });
+    }
+  } catch (err) {
+    await Promise.all(imageVariants.map((variant) => removeFile(variant.key)));
+    throw err;
+  }
+
+  const [large] = imageVariants;
+  return { imageUrl: large.url, imageKey: large.key, imageVariants };
+};
+
+export const storeSponsorLogo = (file) => storeRendered(file.buffer, "events/sponsors", SPONSOR_LOGO_SIZE);
+
+// Private; PDFs are kept as they are, images are re-encoded as JPEG
+export const storeReceipt = (file) => {
+  if (file.detectedType === "application/pdf") {
+    return uploadFile(file.buffer, {
+      folder: "receipts",
+      filename: "receipt.pdf",
+      contentType: "application/pdf",
+      isPrivate: true,
+    });
+  }
+  return storeRendered(file.buffer, "receipts", RECEIPT_SIZE, { format: "jpeg", isPrivate: true });
+};
+
+// Storage keys of an event image in all its sizes
+export const eventImageKeys = (event) => [
+  ...new Set([event.imageKey, ...(event.imageVariants || []).map((variant) => variant.key)].filter(Boolean)),
+];
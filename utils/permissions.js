@@ -0,0 +1,22 @@
+// Staff roles, from most to least privileged
+export const ROLES = ["owner", "manager", "finance", "scanner"];
+
+// Which roles may perform each action
+export const PERMISSIONS = {
+  "events:write": ["owner", "manager"],
+  "bookings:read": ["owner", "manager", "finance"],
+  "bookings:status": ["owner", "manager", "finance"],
+  "bookings:delete": ["owner", "manager"],
+  "bookings:email": ["owner", "manager", "finance"],
+  "tickets:checkin": ["owner", "manager", "scanner"],
+  "tickets:manage": ["owner", "manager"],
+  "promos:manage": ["owner", "manager"],
+  "waitlist:manage": ["owner", "manager"],
+  "analytics:read": ["owner", "manager", "finance"],
+  "audit:read": ["owner", "manager"],
+  "staff:manage": ["owner"],
+  "webhooks:manage": ["owner"],
+};
+
+export const hasPermission = (role, permission) =>
+  Boolean(PERMISSIONS[permission]?.includes(role));
@@ -0,0 +1,49 @@
+// Helpers for list endpoints that take filters from req.query.
+// Invalid values throw, so routes can answer with a 400.
+
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Case-insensitive "contains" match
+export const containsRegex = (value) => new RegExp(escapeRegex(value), "i");
+
+// Case-insensitive exact match
+export const exactRegex = (value) => new RegExp(`^${escapeRegex(value)}$`, "i");
+
+// ?page=2&limit=20 -> { page, limit, skip }
+export const parsePagination = (query, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+
+  if (!Number.isInteger(page) || page < 1) throw new Error("page must be a positive integer");
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit)
+    throw new Error(`limit must be an integer between 1 and ${maxLimit}`);
+
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+export const paginationMeta = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  totalPages: Math.ceil(total / limit),
+});
+
+export const parseDateParam = (value, name) => {
+  if (value === undefined || value === "") return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`${name} must be a valid date`);
+  return date;
+};
+
+export const parseIntegerParam = (value, name) => {
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) throw new Error(`${name} must be a non-negative integer`);
+  return number;
+};
+
+// Builds a { $gte, $lte } range, or undefined when both ends are missing
+export const range = (min, max) => {
+  if (min === undefined && max === undefined) return undefined;
+  return { ...(min !== undefined && { $gte: min }), ...(max !== undefined && { $lte: max }) };
+};
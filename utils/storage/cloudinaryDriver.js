@@ -0,0 +1,52 @@
+import { v2 as cloudinary } from "cloudinary";
+import { Readable } from "stream";
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+// Keys look like "<resource_type>/<type>/<public_id>.<format>" so delete and
+// signing know how the asset was stored.
+const parseKey = (key) => {
+  const [resourceType, type, ...rest] = key.split("/");
+  const match = rest.join("/").match(/^(.*?)(?:\.([a-z0-9]+))?$/i);
+  return { resourceType, type, publicId: match[1], format: match[2] || "" };
+};
+
+const upload = (buffer, { folder, isPrivate }) =>
+  new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      { folder, resource_type: "auto", type: isPrivate ? "authenticated" : "upload" },
+      (err, result) => {
+        if (err) return reject(err);
+        resolve({
+          key: `${result.resource_type}/${result.type}/${result.public_id}${result.format ? `.${result.format}` : ""}`,
+          url: result.secure_url,
+        });
+      }
+    );
+    Readable.from(buffer).pipe(stream);
+  });
+
+const remove = async (key) => {
+  const { resourceType, type, publicId } = parseKey(key);
+  await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, type, invalidate: true });
+};
+
+const getSignedUrl = async (key, { expiresIn }) => {
+  const { resourceType, type, publicId, format } = parseKey(key);
+
+  if (type !== "authenticated") {
+    return cloudinary.url(publicId, { resource_type: resourceType, type, format, secure: true });
+  }
+
+  return cloudinary.utils.private_download_url(publicId, format, {
+    resource_type: resourceType,
+    type,
+    expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+  });
+};
+
+export default { upload, remove, getSignedUrl };
@@ -0,0 +1,58 @@
+import crypto from "crypto";
+import path from "path";
+
+/* ----------------------------------------------------
+   MEDIA STORAGE
+   One interface for every driver:
+     upload(buffer, { folder, filename, contentType, isPrivate }) -> { key, url }
+     remove(key)
+     getSignedUrl(key, { expiresIn })  (seconds)
+   The driver is picked with STORAGE_DRIVER=cloudinary|local|s3.
+---------------------------------------------------- */
+const drivers = {
+  cloudinary: () => import("./cloudinaryDriver.js"),
+  local: () => import("./localDriver.js"),
+  s3: () => import("./s3Driver.js"),
+};
+
+const driverName = () =>
+  process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? "cloudinary" : "local");
+
+let driverPromise;
+
+const getDriver = () => {
+  if (!driverPromise) {
+    const name = driverName();
+    if (!drivers[name]) throw new Error(`Unknown storage driver "${name}"`);
+    driverPromise = drivers[name]().then((mod) => mod.default);
+  }
+  return driverPromise;
+};
+
+// Unique object name inside a folder, keeping the original extension
+export const buildObjectName = (folder, filename = "") => {
+  const ext = path.extname(filename).toLowerCase();
+  const unique = `${Date.now()}-${crypto.randomBytes(6).toString("hex")}`;
+  return `${folder}/${unique}${ext}`;
+};
+
+export const uploadFile = async (buffer, options) => {
+  const driver = await getDriver();
+  return driver.upload(buffer, options);
+};
+
+// Deleting media is best effort: a missing file must not fail the request
+export const removeFile = async (key) => {
+  if (!key) return;
+  try {
+    const driver = await getDriver();
+    await driver.remove(key);
+  } catch (err) {
+    console.error("Storage Remove Error:", err);
+  }
+};
+
+export const getSignedUrl = async (key, { expiresIn = 15 * 60 } = {}) => {
+  const driver = await getDriver();
+  return driver.getSignedUrl(key, { expiresIn });
+};
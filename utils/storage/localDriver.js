@@ -0,0 +1,65 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { buildObjectName } from "./index.js";
+
+// Public files live in uploads/ (served statically by server.js),
+// private ones outside it and are only reachable through signed URLs.
+export const publicRoot = path.join(path.resolve(), "uploads");
+export const privateRoot = path.join(path.resolve(), "private-uploads");
+
+const PRIVATE_PREFIX = "private/";
+
+const baseUrl = () => process.env.SERVER_URL || "";
+
+const signingSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+const sign = (key, expires) =>
+  crypto.createHmac("sha256", signingSecret()).update(`${key}:${expires}`).digest("hex");
+
+// Maps a key to a file path, refusing anything that escapes the storage roots
+export const resolveKey = (key) => {
+  const isPrivate = key.startsWith(PRIVATE_PREFIX);
+  const root = isPrivate ? privateRoot : publicRoot;
+  const relative = isPrivate ? key.slice(PRIVATE_PREFIX.length) : key;
+  const filePath = path.resolve(root, relative);
+
+  if (!filePath.startsWith(root + path.sep)) throw new Error("Invalid storage key");
+  return { filePath, isPrivate };
+};
+
+// Used by the media route to check a signed private URL
+export const verifySignature = (key, expires, signature) => {
+  if (!expires || !signature || Number(expires) < Date.now() / 1000) return false;
+
+  const expected = Buffer.from(sign(key, expires));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+const upload = async (buffer, { folder, filename, isPrivate }) => {
+  const objectName = buildObjectName(folder, filename);
+  const key = isPrivate ? `${PRIVATE_PREFIX}${objectName}` : objectName;
+  const { filePath } = resolveKey(key);
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+
+  return { key, url: isPrivate ? null : `${baseUrl()}/uploads/${objectName}` };
+};
+
+const remove = async (key) => {
+  const { filePath } = resolveKey(key);
+  await fs.rm(filePath, { force: true });
+};
+
+const getSignedUrl = async (key, { expiresIn }) => {
+  const { isPrivate } = resolveKey(key);
+  if (!isPrivate) return `${baseUrl()}/uploads/${key}`;
+
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const query = new URLSearchParams({ expires: String(expires), signature: sign(key, expires) });
+  return `${baseUrl()}/api/media/${key}?${query}`;
+};
+
+export default { upload, remove, getSignedUrl };
@@ -0,0 +1,53 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl as presign } from "@aws-sdk/s3-request-presigner";
+import { buildObjectName } from "./index.js";
+
+// Works with AWS S3 and S3-compatible services (R2, MinIO, Spaces) via S3_ENDPOINT
+const client = new S3Client({
+  region: process.env.S3_REGION || "us-east-1",
+  endpoint: process.env.S3_ENDPOINT || undefined,
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+  credentials: process.env.S3_ACCESS_KEY_ID
+    ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      }
+    : undefined,
+});
+
+const bucket = () => process.env.S3_BUCKET;
+
+const publicUrl = (key) => {
+  if (process.env.S3_PUBLIC_URL) return `${process.env.S3_PUBLIC_URL.replace(/\/$/, "")}/${key}`;
+  if (process.env.S3_ENDPOINT) return `${process.env.S3_ENDPOINT.replace(/\/$/, "")}/${bucket()}/${key}`;
+  return `https://${bucket()}.s3.${process.env.S3_REGION || "us-east-1"}.amazonaws.com/${key}`;
+};
+
+const upload = async (buffer, { folder, filename, contentType, isPrivate }) => {
+  const key = buildObjectName(isPrivate ? `private/${folder}` : folder, filename);
+
+  await client.send(
+    new PutObjectCommand({
+      Bucket: bucket(),
+      Key: key,
+      Body: buffer,
+      ContentType: contentType,
+    })
+  );
+
+  return { key, url: isPrivate ? null : publicUrl(key) };
+};
+
+const remove = async (key) => {
+  await client.send(new DeleteObjectCommand({ Bucket: bucket(), Key: key }));
+};
+
+const getSignedUrl = (key, { expiresIn }) =>
+  presign(client, new GetObjectCommand({ Bucket: bucket(), Key: key }), { expiresIn });
+
+export default { upload, remove, getSignedUrl };
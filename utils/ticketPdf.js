@@ -0,0 +1,96 @@
+import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
+import { ticketVerificationURL } from "./ticketToken.js";
+
+/* ----------------------------------------------------
+   PRINTABLE TICKETS (PDF)
+   Same branding as the ticket email: dark header, white card.
+---------------------------------------------------- */
+const COLORS = { header: "#222831", muted: "#666666", border: "#e0e0e0", text: "#222222" };
+
+// A6 landscape is a good size for a printed ticket
+const PAGE = { size: "A6", layout: "landscape", margin: 0 };
+
+// Collects a PDFKit document into a Buffer
+const toBuffer = (doc) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    doc.end();
+  });
+
+// Draws one ticket on the current page
+const drawTicket = async (doc, booking) => {
+  const event = booking.eventId || {};
+  const session = booking.bookedSession() || {};
+  const { width, height } = doc.page;
+
+  const qrBuffer = await QRCode.toBuffer(ticketVerificationURL(booking), { margin: 1, scale: 6 });
+
+  // Header
+  doc.rect(0, 0, width, 56).fill(COLORS.header);
+  doc.fillColor("#ffffff").font("Helvetica-Bold").fontSize(16)
+    .text(event.title || "Event", 20, 14, { width: width - 40, ellipsis: true, height: 20 });
+  doc.fillColor("#cccccc").font("Helvetica").fontSize(9).text("Your Entry Pass", 20, 36);
+
+  // Details
+  const rows = [
+    ["Ticket No", booking.ticketNumber],
+    ["Name", `${booking.firstName} ${booking.lastName}`],
+    ["Category", booking.ticketType],
+    ["Date", session.name ? `${session.date} (${session.name})` : session.date],
+    ["Time", session.time],
+    ["Location", event.address],
+  ];
+
+  let y = 72;
+  for (const [label, value] of rows) {
+    doc.fillColor(COLORS.muted).font("Helvetica").fontSize(8).text(label.toUpperCase(), 20, y);
+    doc.fillColor(COLORS.text).font("Helvetica-Bold").fontSize(10)
+      .text(value || "-", 20, y + 9, { width: width - 190, height: 12, ellipsis: true });
+    y += 26;
+  }
+
+  // QR code
+  const qrSize = 130;
+  const qrX = width - qrSize - 24;
+  doc.roundedRect(qrX - 6, 70, qrSize + 12, qrSize + 28, 6).lineWidth(1).stroke(COLORS.border);
+  doc.image(qrBuffer, qrX, 76, { width: qrSize, height: qrSize });
+  doc.fillColor(COLORS.muted).font("Helvetica").fontSize(7)
+    .text("Scan QR to verify", qrX, 76 + qrSize + 6, { width: qrSize, align: "center" });
+
+  // Footer
+  doc.fillColor(COLORS.muted).fontSize(7).text(
+    "Please show this ticket at the entry gate. Valid for one person only.",
+    20,
+    height - 22,
+    { width: width - 40, align: "center" }
+  );
+};
+
+// Single ticket for one booking (eventId must be populated)
+export const renderTicketPdf = async (booking) => {
+  const doc = new PDFDocument({ ...PAGE, info: { Title: `Ticket ${booking.ticketNumber}` } });
+  await drawTicket(doc, booking);
+  return toBuffer(doc);
+};
+
+// One page per booking, for printing a whole event's tickets on site
+export const renderTicketsPdf = async (bookings, title = "Tickets") => {
+  const doc = new PDFDocument({ ...PAGE, autoFirstPage: false, info: { Title: title } });
+
+  for (const booking of bookings) {
+    doc.addPage(PAGE);
+    await drawTicket(doc, booking);
+  }
+
+  // PDFKit can't write an empty document
+  if (bookings.length === 0) {
+    doc.addPage(PAGE);
+    doc.fontSize(12).text("No tickets to print.", 20, 20);
+  }
+
+  return toBuffer(doc);
+};
@@ -0,0 +1,74 @@
+import jwt from "jsonwebtoken";
+
+// Tickets are signed with their own secret when one is configured
+const getSecret = () => process.env.TICKET_SECRET || process.env.JWT_SECRET;
+
+// Signed token carried by the ticket QR code.
+// Bumping booking.ticketTokenVersion invalidates every token issued before.
+export const signTicketToken = (booking) => {
+  const eventId = booking.eventId?._id || booking.eventId;
+
+  return jwt.sign(
+    {
+      bid: booking._id.toString(),
+      eid: eventId.toString(),
+      v: booking.ticketTokenVersion || 0,
+    },
+    getSecret(),
+    { subject: "ticket" }
+  );
+};
+
+// Public URL encoded into the QR code
+export const ticketVerificationURL = (booking) =>
+  `${process.env.CLIENT_URI}/verify-ticket/${signTicketToken(booking)}`;
+
+// Returns the decoded payload, or null if the token is forged or malformed
+export const decodeTicketToken = (token) => {
+  try {
+    return jwt.verify(token, getSecret(), { subject: "ticket" });
+  } catch (err) {
+    return null;
+  }
+};
+
+// Short-lived session for the attendee self-service portal.
+// Tied to the token version, so a transfer ends the previous holder's session.
+export const signAttendeeToken = (booking) =>
+  jwt.sign(
+    { bid: booking._id.toString(), v: booking.ticketTokenVersion || 0 },
+    getSecret(),
+    { subject: "attendee", expiresIn: "1h" }
+  );
+
+export const decodeAttendeeToken = (token) => {
+  try {
+    return jwt.verify(token, getSecret(), { subject: "attendee" });
+  } catch (err) {
+    return null;
+  }
+};
+
+// Session for the purchaser of a group order, whose email may match none of the
+// tickets. It only covers order-level actions (see /api/attendee/order).
+export const signPurchaserToken = (order) =>
+  jwt.sign({ oid: order._id.toString() }, getSecret(), { subject: "purchaser", expiresIn: "1h" });
+
+export const decodePurchaserToken = (token) => {
+  try {
+    return jwt.verify(token, getSecret(), { subject: "purchaser" });
+  } catch (err) {
+    return null;
+  }
+};
+
+// Checks a decoded token still matches the booking it claims to belong to
+export const tokenMatchesBooking = (payload, booking) => {
+  const eventId = booking.eventId?._id || booking.eventId;
+
+  return (
+    !booking.ticketTokenRevokedAt &&
+    payload.eid === eventId?.toString() &&
+    payload.v === (booking.ticketTokenVersion || 0)
+  );
+};
@@ -0,0 +1,49 @@
+import { z } from "zod";
+import { ROLES } from "../utils/permissions.js";
+import { email, requiredText } from "./common.js";
+
+const password = z.string().min(8, "Password must be at least 8 characters").max(200);
+
+export const setupBody = z.object({
+  name: requiredText(100),
+  email,
+  password,
+});
+
+export const loginBody = z.object({
+  email,
+  password: z.string().min(1, "Required"),
+});
+
+export const inviteBody = z.object({
+  email,
+  role: z.enum(ROLES),
+});
+
+export const acceptInviteBody = z.object({
+  token: requiredText(200),
+  name: requiredText(100),
+  password,
+});
+
+export const refreshBody = z.object({
+  refreshToken: requiredText(200),
+});
+
+export const changePasswordBody = z.object({
+  currentPassword: z.string().min(1, "Required"),
+  newPassword: password,
+});
+
+export const forgotPasswordBody = z.object({
+  email,
+});
+
+export const resetPasswordBody = z.object({
+  token: requiredText(200),
+  password,
+});
+
+export const roleBody = z.object({
+  role: z.enum(ROLES),
+});
@@ -0,0 +1,27 @@
+import { z } from "zod";
+import { email, optionalText, requiredText } from "./common.js";
+
+export const loginBody = z.object({
+  ticketNumber: z.coerce.string().trim().regex(/^\d{6}$/, "Ticket numbers have 6 digits"),
+  emailAddress: email,
+});
+
+export const requestCodeBody = z.object({
+  emailAddress: email,
+});
+
+export const verifyCodeBody = z.object({
+  emailAddress: email,
+  code: z.coerce.string().trim().regex(/^\d{6}$/, "Codes have 6 digits"),
+});
+
+export const cancelRequestBody = z.object({
+  reason: optionalText(1000),
+});
+
+export const transferBody = z.object({
+  firstName: requiredText(100),
+  lastName: requiredText(100),
+  emailAddress: email,
+  contactNumber: optionalText(30),
+});
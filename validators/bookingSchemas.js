@@ -0,0 +1,62 @@
+import { z } from "zod";
+import { BOOKING_STATUSES } from "../utils/bookingStatus.js";
+import {
+  dateRangeQuery,
+  email,
+  enumList,
+  idParams,
+  objectId,
+  optionalText,
+  paginationQuery,
+  requiredText,
+} from "./common.js";
+
+// Contact details shared by bookings, orders and waitlist entries
+export const contactFields = {
+  firstName: requiredText(100),
+  lastName: requiredText(100),
+  contactNumber: requiredText(30),
+  emailAddress: email,
+  cityName: requiredText(100),
+};
+
+export const createBody = z.object({
+  ...contactFields,
+  eventId: objectId("event ID"),
+  sessionId: objectId("session ID").optional(),
+  ticketType: requiredText(100),
+  promoCode: optionalText(50),
+});
+
+// Filters shared by the list and the export
+const listFilters = {
+  eventId: objectId("event ID").optional(),
+  status: enumList(BOOKING_STATUSES).optional(),
+  ticketType: optionalText(100),
+  city: optionalText(100),
+  q: optionalText(200),
+  sort: optionalText(50),
+  ...dateRangeQuery,
+};
+
+export const listQuery = z.object({ ...listFilters, ...paginationQuery });
+
+export const exportQuery = z.object({ ...listFilters, format: z.enum(["csv", "xlsx"]).optional() });
+
+export const reviewQueueQuery = z.object({ eventId: objectId("event ID").optional(), ...paginationQuery });
+
+export const bookingParams = idParams;
+
+export const statusBody = z.object({
+  status: z.enum(BOOKING_STATUSES),
+  reason: optionalText(500),
+  note: optionalText(1000),
+});
+
+export const tokenParams = z.object({ token: z.string().min(1).max(2000) });
+
+export const eventParams = z.object({ eventId: objectId("event ID") });
+
+export const sendEmailBody = z.object({ subject: optionalText(200) });
+
+export const jobParams = z.object({ jobId: objectId("email job ID") });
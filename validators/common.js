@@ -0,0 +1,62 @@
+import { z } from "zod";
+import { isValidTimeZone } from "../utils/dateTime.js";
+
+// Shared building blocks for the request schemas in this folder.
+// Query strings and multipart fields always arrive as strings, hence the coercions.
+
+// Missing fields read "Required" rather than "expected string, received undefined"
+z.config({
+  customError: (issue) => (issue.code === "invalid_type" && issue.input === undefined ? "Required" : undefined),
+});
+
+export const objectId = (label = "ID") => z.string().regex(/^[0-9a-fA-F]{24}$/, `Invalid ${label}`);
+
+export const idParams = z.object({ id: objectId() });
+
+export const requiredText = (max = 200) => z.string().trim().min(1, "Required").max(max);
+export const optionalText = (max = 200) => z.string().trim().max(max).optional();
+
+export const email = z.string().trim().pipe(z.email("Invalid email address"));
+
+export const timeZone = z.string().refine(isValidTimeZone, "Invalid time zone");
+
+export const dateValue = z.union([z.string(), z.date()]).refine((value) => !Number.isNaN(new Date(value).getTime()), {
+  message: "Invalid date",
+});
+
+// Whole number >= 0, from a string or a number
+export const count = z.coerce.number().int("Must be a whole number").min(0);
+
+// "true" / "false" from forms and query strings
+export const booleanValue = z.union([z.boolean(), z.enum(["true", "false"]).transform((value) => value === "true")]);
+
+// Multipart forms send arrays and objects as JSON strings
+export const jsonField = (schema) =>
+  z.preprocess((value) => {
+    if (typeof value !== "string") return value;
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      return value; // left for the schema to reject
+    }
+  }, schema);
+
+// ?page=&limit= (the handler applies the per-route maximum)
+export const paginationQuery = {
+  page: z.coerce.number().int().min(1).optional(),
+  limit: z.coerce.number().int().min(1).optional(),
+};
+
+// ?from=&to= date range
+export const dateRangeQuery = {
+  from: dateValue.optional(),
+  to: dateValue.optional(),
+};
+
+// Comma separated list of allowed values (?status=Paid,Pending)
+export const enumList = (values) =>
+  z
+    .string()
+    .refine((value) => value.split(",").every((item) => values.includes(item)), {
+      message: `Values must be among ${values.join(", ")}`,
+    });
@@ -0,0 +1,94 @@
+import { z } from "zod";
+import { EVENT_STATUSES, MAX_REMINDER_OFFSET_HOURS } from "../models/Event.js";
+import {
+  booleanValue,
+  count,
+  dateValue,
+  enumList,
+  idParams,
+  jsonField,
+  optionalText,
+  paginationQuery,
+  timeZone,
+} from "./common.js";
+
+// Prices and capacities arrive as strings inside multipart JSON too, so numbers are coerced here
+// and the route helpers (parseTicketTiers / parseSessions) do the rest
+const ticketTier = z.object({
+  name: z.string().trim().min(1, "Every ticket tier needs a name").max(100),
+  description: z.string().max(1000).nullish(),
+  price: count,
+  currency: z.string().trim().length(3, "Currency is a 3-letter code").nullish(),
+  salesStart: dateValue.nullish(),
+  salesEnd: dateValue.nullish(),
+  capacity: z.union([z.literal(""), z.null(), count]).optional(),
+});
+
+// startsAt / endsAt may be local ("2026-03-14T19:00") and are read in the event's time zone
+const session = z.object({
+  _id: z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid session ID").optional(),
+  name: optionalText(100),
+  startsAt: dateValue,
+  endsAt: dateValue.nullish(),
+  capacity: z.union([z.literal(""), z.null(), count]).optional(),
+});
+
+const eventFields = {
+  title: optionalText(200),
+  description: optionalText(10000),
+  location: optionalText(200),
+  category: optionalText(100),
+  address: optionalText(500),
+  refreshments: optionalText(500),
+  timeZone: timeZone.or(z.literal("")).optional(),
+  ticketTiers: jsonField(z.array(ticketTier)).optional(),
+  sessions: jsonField(z.array(session)).optional(),
+  startsAt: dateValue.optional(),
+  endsAt: dateValue.optional(),
+  capacity: z.union([z.literal(""), count]).optional(),
+};
+
+export const createBody = z.object({
+  ...eventFields,
+  // New events start as drafts unless published straight away
+  status: z.enum(["draft", "published"]).optional(),
+  title: z.string().trim().min(1, "Title is required").max(200),
+  description: z.string().trim().min(1, "Description is required").max(10000),
+});
+
+export const updateBody = z.object(eventFields);
+
+export const eventParams = idParams;
+
+export const listQuery = z.object({
+  when: z.enum(["upcoming", "past"]).optional(),
+  category: optionalText(100),
+  city: optionalText(100),
+  from: dateValue.optional(),
+  to: dateValue.optional(),
+  minPrice: count.optional(),
+  maxPrice: count.optional(),
+  q: optionalText(200),
+  sort: z.enum(["date", "-date", "newest", "relevance"]).optional(),
+  status: enumList(EVENT_STATUSES).optional(),
+  ...paginationQuery,
+});
+
+export const statusBody = z.object({
+  status: z.enum(EVENT_STATUSES),
+  reason: optionalText(500),
+});
+
+export const reminderPreviewQuery = z.object({
+  type: z.enum(["reminder", "follow-up"]).optional(),
+  hoursBefore: z.coerce.number().int().min(1).max(MAX_REMINDER_OFFSET_HOURS).optional(),
+});
+
+export const remindersBody = z.object({
+  enabled: booleanValue.optional(),
+  offsetsHours: z.array(z.number().int().min(1).max(MAX_REMINDER_OFFSET_HOURS)).max(10).optional(),
+  followUpEnabled: booleanValue.optional(),
+  followUpDelayHours: z.number().min(0).max(168).optional(),
+  followUpMessage: z.string().max(5000).nullish(),
+  feedbackURL: z.union([z.url(), z.literal("")]).nullish(),
+});
@@ -0,0 +1,42 @@
+import { z } from "zod";
+import { BOOKING_STATUSES } from "../utils/bookingStatus.js";
+import { email, idParams, jsonField, objectId, optionalText, paginationQuery, requiredText } from "./common.js";
+import { contactFields } from "./bookingSchemas.js";
+
+const MAX_ATTENDEES = 20;
+
+// Attendees without contact details use the purchaser's
+const attendee = z.object({
+  firstName: requiredText(100),
+  lastName: requiredText(100),
+  ticketType: requiredText(100),
+  contactNumber: optionalText(30),
+  emailAddress: email.optional(),
+});
+
+export const createBody = z.object({
+  ...contactFields,
+  eventId: objectId("event ID"),
+  sessionId: objectId("session ID").optional(),
+  promoCode: optionalText(50),
+  attendees: jsonField(
+    z
+      .array(attendee)
+      .min(1, "At least one attendee is required")
+      .max(MAX_ATTENDEES, `An order can have at most ${MAX_ATTENDEES} attendees`)
+  ),
+});
+
+export const listQuery = z.object({
+  eventId: objectId("event ID").optional(),
+  status: z.enum(BOOKING_STATUSES).optional(),
+  ...paginationQuery,
+});
+
+export const orderParams = idParams;
+
+export const statusBody = z.object({
+  status: z.enum(BOOKING_STATUSES),
+  reason: optionalText(500),
+  note: optionalText(1000),
+});
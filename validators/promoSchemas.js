@@ -0,0 +1,28 @@
+import { z } from "zod";
+import { booleanValue, count, dateValue, idParams, objectId, optionalText, requiredText } from "./common.js";
+
+export const validateBody = z.object({
+  code: requiredText(50),
+  eventId: objectId("event ID"),
+  ticketType: requiredText(100),
+});
+
+// Percentages are checked against 100 by the model
+const promoFields = {
+  code: z.string().trim().min(1).max(50),
+  description: optionalText(500),
+  discountType: z.enum(["percentage", "fixed"]),
+  amount: z.coerce.number().min(0),
+  events: z.array(objectId("event ID")),
+  ticketTypes: z.array(requiredText(100)),
+  validFrom: dateValue.nullable(),
+  validUntil: dateValue.nullable(),
+  maxUses: count.nullable(),
+  active: booleanValue,
+};
+
+export const createBody = z.object(promoFields).partial().required({ code: true, discountType: true, amount: true });
+
+export const updateBody = z.object(promoFields).partial();
+
+export const promoParams = idParams;
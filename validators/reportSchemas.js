@@ -0,0 +1,24 @@
+import { z } from "zod";
+import { dateRangeQuery, objectId, optionalText, paginationQuery, timeZone } from "./common.js";
+
+// Analytics: every report takes the same filters
+export const analyticsQuery = z.object({
+  eventId: objectId("event ID").optional(),
+  timeZone: timeZone.optional(),
+  ...dateRangeQuery,
+});
+
+export const auditQuery = z.object({
+  targetType: optionalText(100),
+  targetId: objectId("target ID").optional(),
+  actor: objectId("actor ID").optional(),
+  action: optionalText(100),
+  ...dateRangeQuery,
+  ...paginationQuery,
+});
+
+// Signed links to private files (media routes)
+export const signedUrlQuery = z.object({
+  expires: z.string().regex(/^\d+$/, "Invalid link"),
+  signature: z.string().regex(/^[0-9a-f]+$/, "Invalid link"),
+});
@@ -0,0 +1,25 @@
+import { z } from "zod";
+import WaitlistEntry from "../models/WaitlistEntry.js";
+import { enumList, idParams, objectId, requiredText } from "./common.js";
+import { contactFields } from "./bookingSchemas.js";
+
+export const joinBody = z.object({
+  ...contactFields,
+  eventId: objectId("event ID"),
+  sessionId: objectId("session ID").optional(),
+  ticketType: requiredText(100),
+});
+
+export const claimParams = z.object({ token: z.string().regex(/^[0-9a-f]{16,128}$/, "Invalid offer link") });
+
+export const eventParams = z.object({ eventId: objectId("event ID") });
+
+export const listQuery = z.object({
+  status: enumList(WaitlistEntry.schema.path("status").enumValues).optional(),
+});
+
+export const reorderBody = z.object({
+  entryIds: z.array(objectId("waitlist entry ID")).min(1, "entryIds must list at least one entry"),
+});
+
+export const entryParams = idParams;
@@ -0,0 +1,25 @@
+import { z } from "zod";
+import { WEBHOOK_EVENTS } from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import { booleanValue, idParams, objectId, optionalText, paginationQuery } from "./common.js";
+
+const webhookFields = {
+  url: z.url({ protocol: /^https?$/, error: "url must be an http(s) URL" }),
+  description: optionalText(500),
+  events: z.array(z.enum(WEBHOOK_EVENTS)).min(1, "Subscribe to at least one event"),
+  active: booleanValue,
+};
+
+export const createBody = z.object(webhookFields).partial().required({ url: true, events: true });
+
+export const updateBody = z.object(webhookFields).partial();
+
+export const webhookParams = idParams;
+
+export const deliveriesQuery = z.object({
+  status: z.enum(WebhookDelivery.schema.path("status").enumValues).optional(),
+  event: optionalText(100),
+  ...paginationQuery,
+});
+
+export const deliveryParams = z.object({ deliveryId: objectId("delivery ID") });